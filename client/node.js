@@ -0,0 +1,283 @@
+'use strict';
+
+var crypto = require('crypto');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var frame = require('../server/frame.js');
+var socketjs = require('./socket.js');
+
+// the ready states of a WebSocket
+var CONNECTING = 0;
+var OPEN = 1;
+var CLOSING = 2;
+var CLOSED = 3;
+
+// clients have to mask their frames with a random key
+function encodeFrame(opcode, payload) {
+  return frame.encode(opcode, payload, { mask: true });
+}
+
+// a WebSocket with the same interface as the one in browsers, built on Node's http module
+// protocols is an optional subprotocol (or array of subprotocols) to offer the server
+// headers is an optional object of extra headers to send with the upgrade request
+// request is an optional function to make the upgrade request with instead of http.request or https.request (e.g., for testing)
+function WebSocket(address, protocols, headers, request) {
+  if (protocols === undefined) {
+    protocols = [];
+  } else if (typeof protocols === 'string') {
+    protocols = [protocols];
+  }
+
+  var target = url.parse(address);
+  var secure = target.protocol === 'wss:';
+  if (request === undefined) {
+    request = secure ? https.request : http.request;
+  }
+  var key = crypto.randomBytes(16).toString('base64');
+  var socket = null;
+  var closeFrameSent = false;
+  var closeCode = 1006;
+  var closeReason = '';
+  var fragments = [];
+  var fragmentsOpcode = 0;
+
+  var connection = {
+    readyState: CONNECTING,
+    binaryType: 'arraybuffer',
+    protocol: '',
+    onopen: null,
+    onmessage: null,
+    onerror: null,
+    onclose: null,
+
+    // the number of bytes which have been sent but not written to the network yet
+    get bufferedAmount() {
+      return socket === null ? 0 : socket.writableLength;
+    },
+
+    // send a text (string) or binary (ArrayBuffer) message
+    send: function(data) {
+      if (connection.readyState === CONNECTING) {
+        throw 'Attempted to transmit before the connection was opened';
+      }
+
+      if (connection.readyState === OPEN) {
+        if (typeof data === 'string') {
+          socket.write(encodeFrame(1, new Buffer(data)));
+        } else {
+          socket.write(encodeFrame(2, new Buffer(new Uint8Array(data))));
+        }
+      }
+    },
+
+    // start the closing handshake
+    close: function(code, reason) {
+      if (connection.readyState === CONNECTING) {
+        connection.readyState = CLOSED;
+        upgradeRequest.abort();
+        fire('onclose', { code: 1006, reason: '', wasClean: false });
+      } else if (connection.readyState === OPEN) {
+        connection.readyState = CLOSING;
+        sendCloseFrame(code === undefined ? null : code, reason === undefined ? '' : reason);
+      }
+    }
+  };
+
+  // call an event handler if there is one
+  var fire = function(name, event) {
+    if (typeof connection[name] === 'function') {
+      connection[name](event);
+    }
+  };
+
+  // the connection could not be established
+  var fail = function() {
+    if (connection.readyState === CONNECTING) {
+      connection.readyState = CLOSED;
+      fire('onerror', {});
+      fire('onclose', { code: 1006, reason: '', wasClean: false });
+    }
+  };
+
+  // send a close frame with a status code and reason (or with no payload if code is null)
+  var sendCloseFrame = function(code, reason) {
+    if (!closeFrameSent) {
+      closeFrameSent = true;
+      var payload = new Buffer(0);
+      if (code !== null) {
+        var reasonBuffer = new Buffer(reason);
+        payload = new Buffer(2 + reasonBuffer.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBuffer.copy(payload, 2);
+      }
+      socket.write(encodeFrame(8, payload));
+    }
+  };
+
+  // handle a complete frame from the server
+  var onFrame = function(header, payload) {
+    var opcode = header.opcode;
+    if (opcode === 8) {
+      // the server wants to close the connection, or agreed to close it
+      closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+      closeReason = payload.length > 2 ? payload.slice(2).toString() : '';
+      connection.readyState = CLOSING;
+      sendCloseFrame(closeCode === 1005 ? null : closeCode, '');
+      socket.end();
+    } else if (opcode === 9) {
+      // answer pings with pongs containing the same data
+      socket.write(encodeFrame(10, payload));
+    } else if (opcode === 0 || opcode === 1 || opcode === 2) {
+      // the first frame of a message has the opcode, the rest of the fragments have opcode 0
+      if (opcode !== 0) {
+        fragmentsOpcode = opcode;
+      }
+      fragments.push(payload);
+
+      // once we have the final fragment, we got it all
+      if (header.fin) {
+        var message = Buffer.concat(fragments);
+        fragments = [];
+        if (connection.readyState === OPEN) {
+          if (fragmentsOpcode === 1) {
+            fire('onmessage', { data: message.toString() });
+          } else {
+            fire('onmessage', { data: message.buffer.slice(message.byteOffset, message.byteOffset + message.length) });
+          }
+        }
+      }
+    }
+  };
+
+  // we trust the server, so there's nothing to check before each frame arrives
+  var decoder = frame.decoder(function() {}, onFrame);
+
+  // ask the server to upgrade the connection
+  var requestHeaders = {
+    'Connection': 'Upgrade',
+    'Upgrade': 'websocket',
+    'Sec-WebSocket-Key': key,
+    'Sec-WebSocket-Version': '13'
+  };
+  if (protocols.length > 0) {
+    requestHeaders['Sec-WebSocket-Protocol'] = protocols.join(', ');
+  }
+  for (var name in headers) {
+    if (headers.hasOwnProperty(name)) {
+      requestHeaders[name] = headers[name];
+    }
+  }
+  var upgradeRequest = request({
+    hostname: target.hostname,
+    port: target.port === null ? (secure ? 443 : 80) : target.port,
+    path: target.path,
+    headers: requestHeaders
+  });
+
+  // the server refused to upgrade the connection
+  upgradeRequest.on('response', function(response) {
+    response.resume();
+    fail();
+  });
+
+  upgradeRequest.on('error', fail);
+
+  upgradeRequest.on('upgrade', function(response, upgradedSocket, head) {
+    socket = upgradedSocket;
+
+    // make sure the server actually speaks WebSockets, and picked one of the subprotocols we offered (if it picked one)
+    var expectedAccept = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+    var protocol = response.headers['sec-websocket-protocol'];
+    if (connection.readyState !== CONNECTING || response.headers['sec-websocket-accept'] !== expectedAccept ||
+        (protocol !== undefined && protocols.indexOf(protocol) === -1)) {
+      socket.destroy();
+      fail();
+      return;
+    }
+    connection.protocol = protocol === undefined ? '' : protocol;
+
+    socket.setNoDelay(true);
+    socket.on('data', decoder.write);
+    socket.on('error', function() {
+      socket.destroy();
+    });
+    socket.on('end', function() {
+      socket.end();
+    });
+    socket.on('close', function() {
+      decoder.stop();
+      var wasClean = closeFrameSent && closeCode !== 1006;
+      connection.readyState = CLOSED;
+      fire('onclose', { code: closeCode, reason: closeReason, wasClean: wasClean });
+    });
+
+    connection.readyState = OPEN;
+    fire('onopen', {});
+
+    // the server might have sent some frames along with the response
+    if (head.length > 0) {
+      decoder.write(head);
+    }
+  });
+
+  upgradeRequest.end();
+
+  return connection;
+}
+
+WebSocket.CONNECTING = CONNECTING;
+WebSocket.OPEN = OPEN;
+WebSocket.CLOSING = CLOSING;
+WebSocket.CLOSED = CLOSED;
+
+module.exports = {
+  // WebSockets are always supported in Node.js
+  isSupported: function() {
+    return true;
+  },
+
+  // initiate a connection
+  // this works like the browser client, except that host is required, secure defaults to false,
+  // and options.headers can be used to send extra headers (e.g., for authentication) with the upgrade request
+  connect: function(host, secure, options) {
+    if (typeof host !== 'string') {
+      throw 'Invalid parameter: host';
+    }
+
+    if (options === undefined) {
+      options = {};
+    }
+
+    if (options === null || typeof options !== 'object') {
+      throw 'Invalid parameter: options';
+    }
+
+    var headers = options.headers === undefined ? {} : options.headers;
+    if (headers === null || typeof headers !== 'object') {
+      throw 'Invalid parameter: options.headers';
+    }
+
+    // use our WebSocket implementation instead of the browser's
+    var clientOptions = {};
+    for (var key in options) {
+      if (options.hasOwnProperty(key) && key !== 'headers') {
+        clientOptions[key] = options[key];
+      }
+    }
+    if (clientOptions.WebSocket === undefined) {
+      clientOptions.WebSocket = function(address, protocols) {
+        return WebSocket(address, protocols, headers);
+      };
+      clientOptions.WebSocket.CONNECTING = CONNECTING;
+      clientOptions.WebSocket.OPEN = OPEN;
+      clientOptions.WebSocket.CLOSING = CLOSING;
+      clientOptions.WebSocket.CLOSED = CLOSED;
+    }
+
+    return socketjs.connect(host, secure === undefined ? false : secure, clientOptions);
+  },
+
+  // the WebSocket implementation, in case it's useful on its own
+  WebSocket: WebSocket
+};
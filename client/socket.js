@@ -1,6 +1,10 @@
 var socketjs = (function() {
   'use strict';
 
+  // the version of the socket.js protocol (i.e., the format of the messages) this client speaks
+  // it's offered to the server as a subprotocol like socketjs.1, or socketjs.1+chat to ask for an application protocol too
+  var PROTOCOL_VERSION = 1;
+
   // messages are converted to JSON before being sent down the wire
   // this function is used to validate that an object can be converted to JSON
   var jsonConvertible = function(x) {
@@ -14,6 +18,666 @@ var socketjs = (function() {
     return true;
   };
 
+  // messages can contain binary data (array buffers and typed arrays)
+  var isBinary = function(x) {
+    return typeof ArrayBuffer !== 'undefined' && (x instanceof ArrayBuffer || ArrayBuffer.isView(x));
+  };
+
+  // copy binary data into a byte array
+  var toBytes = function(x) {
+    if (x instanceof ArrayBuffer) {
+      return new Uint8Array(x);
+    }
+    return new Uint8Array(x.buffer, x.byteOffset, x.byteLength);
+  };
+
+  // convert a string to UTF-8
+  var utf8Encode = function(str) {
+    if (typeof TextEncoder !== 'undefined') {
+      return new TextEncoder().encode(str);
+    }
+    var binaryString = unescape(encodeURIComponent(str));
+    var bytes = new Uint8Array(binaryString.length);
+    for (var i = 0; i < binaryString.length; i += 1) {
+      bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+  };
+
+  // convert UTF-8 to a string
+  var utf8Decode = function(bytes) {
+    if (typeof TextDecoder !== 'undefined') {
+      return new TextDecoder().decode(bytes);
+    }
+    var binaryString = '';
+    for (var i = 0; i < bytes.length; i += 1) {
+      binaryString += String.fromCharCode(bytes[i]);
+    }
+    return decodeURIComponent(escape(binaryString));
+  };
+
+  // the number of bytes in an encoded message
+  var byteLength = function(data) {
+    return typeof data === 'string' ? utf8Encode(data).length : data.byteLength;
+  };
+
+  // keys which start with '#' are reserved for { "#binary": index } in the JSON header of a binary frame,
+  // so the application's keys which start with '#' get another '#' in front of them there
+  var hasHashKey = function(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).some(function(key) {
+      return key.charAt(0) === '#';
+    });
+  };
+
+  // copy an object, renaming the keys which start with '#'
+  var renameHashKeys = function(object, rename) {
+    var renamed = {};
+    Object.keys(object).forEach(function(key) {
+      // define the properties rather than assigning them, so a key like __proto__ doesn't change the prototype
+      Object.defineProperty(renamed, key.charAt(0) === '#' ? rename(key) : key, {
+        value: object[key],
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
+    });
+    return renamed;
+  };
+
+  var escapeKey = function(key) {
+    return '#' + key;
+  };
+
+  var unescapeKey = function(key) {
+    return key.slice(1);
+  };
+
+  // messages without binary data are sent as JSON in a text frame
+  // messages with binary data are sent in a binary frame, which contains:
+  // - the length of a JSON header, as a 32-bit unsigned integer
+  // - the JSON header, in which each piece of binary data is replaced by { "#binary": index } (and keys are escaped)
+  // - each piece of binary data, preceded by its length as a 32-bit unsigned integer
+  var encodeMessage = function(message) {
+    var attachments = [];
+    var escaped = false;
+    var json = JSON.stringify(message, function(key, value) {
+      // look at the original value, since Node.js buffers have already been converted by their toJSON method
+      if (isBinary(this[key])) {
+        attachments.push(toBytes(this[key]));
+        return { '#binary': attachments.length - 1 };
+      }
+      if (hasHashKey(value)) {
+        escaped = true;
+        return renameHashKeys(value, escapeKey);
+      }
+      return value;
+    });
+
+    // text frames are plain JSON, so nothing needs to be escaped
+    if (attachments.length === 0) {
+      return escaped ? JSON.stringify(message) : json;
+    }
+
+    var header = utf8Encode(json);
+    var length = 4 + header.length;
+    for (var i = 0; i < attachments.length; i += 1) {
+      length += 4 + attachments[i].length;
+    }
+
+    var data = new Uint8Array(length);
+    var view = new DataView(data.buffer);
+    view.setUint32(0, header.length);
+    data.set(header, 4);
+    var nextByteIndex = 4 + header.length;
+    for (var j = 0; j < attachments.length; j += 1) {
+      view.setUint32(nextByteIndex, attachments[j].length);
+      data.set(attachments[j], nextByteIndex + 4);
+      nextByteIndex += 4 + attachments[j].length;
+    }
+    return data.buffer;
+  };
+
+  // the inverse of encodeMessage for binary frames
+  // binary data is returned as array buffers, or as blobs if binaryType is 'blob'
+  // this throws if the data is malformed
+  var decodeBinaryMessage = function(data, binaryType) {
+    var view = new DataView(data);
+    if (data.byteLength < 4 || data.byteLength < 4 + view.getUint32(0)) {
+      throw 'Invalid message';
+    }
+    var headerEnd = 4 + view.getUint32(0);
+    var header = utf8Decode(new Uint8Array(data, 4, headerEnd - 4));
+
+    var attachments = [];
+    var nextByteIndex = headerEnd;
+    while (nextByteIndex < data.byteLength) {
+      if (data.byteLength < nextByteIndex + 4 || data.byteLength < nextByteIndex + 4 + view.getUint32(nextByteIndex)) {
+        throw 'Invalid message';
+      }
+      var attachment = data.slice(nextByteIndex + 4, nextByteIndex + 4 + view.getUint32(nextByteIndex));
+      attachments.push(binaryType === 'blob' ? new Blob([attachment]) : attachment);
+      nextByteIndex += 4 + attachment.byteLength;
+    }
+
+    return JSON.parse(header, function(key, value) {
+      if (value !== null && typeof value === 'object' && Object.keys(value).length === 1 && hasOwn(value, '#binary')) {
+        if (typeof value['#binary'] !== 'number' || !attachments.hasOwnProperty(value['#binary'])) {
+          throw 'Invalid message';
+        }
+        return attachments[value['#binary']];
+      }
+      if (hasHashKey(value)) {
+        return renameHashKeys(value, unescapeKey);
+      }
+      return value;
+    });
+  };
+
+  // errors thrown by request handlers are sent back to the other side
+  // this function makes sure they can be converted to JSON
+  var serializableError = function(error) {
+    if (error instanceof Error) {
+      return error.message;
+    }
+    if (error === null || !jsonConvertible(error)) {
+      return String(error);
+    }
+    return error;
+  };
+
+  // read a numeric option, falling back to a default if it isn't provided
+  var numberOption = function(options, name, defaultValue) {
+    if (options[name] === undefined) {
+      return defaultValue;
+    }
+    if (typeof options[name] !== 'number' || !(options[name] >= 0)) {
+      throw 'Invalid parameter: options.' + name;
+    }
+    return options[name];
+  };
+
+  // these status codes mean the connection was lost or the server is going away for a while
+  // any other status code means the server closed the connection on purpose
+  var isTemporaryCloseCode = function(code) {
+    return code === 1001 || code === 1005 || code === 1006 || (code >= 1011 && code <= 1014);
+  };
+
+  // check if a value returned by a request handler is a promise
+  var isThenable = function(x) {
+    return x !== null && (typeof x === 'object' || typeof x === 'function') && typeof x.then === 'function';
+  };
+
+  // messages can be checked against a small subset of JSON Schema (https://json-schema.org)
+  // this is the same subset the server supports, so a schema can be shared by both sides
+  var SCHEMA_TYPES = ['null', 'boolean', 'number', 'integer', 'string', 'array', 'object', 'binary'];
+
+  // binary data from the server can also arrive as blobs
+  var isBinaryValue = function(x) {
+    return isBinary(x) || (typeof Blob !== 'undefined' && x instanceof Blob);
+  };
+
+  // check if a value is a plain object (as opposed to an array or binary data)
+  var isPlainObject = function(x) {
+    return x !== null && typeof x === 'object' && !Array.isArray(x) && !isBinaryValue(x);
+  };
+
+  // check if an object has a property of its own
+  // messages come from the server, so they might have a property called hasOwnProperty
+  var hasOwn = function(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+  };
+
+  // the name of the channel a message from the server is on, or null if it isn't on a channel
+  var channelOf = function(data) {
+    return typeof data.channel === 'string' ? data.channel : null;
+  };
+
+  // check if a value is a non-negative integer
+  var isCount = function(x) {
+    return typeof x === 'number' && x >= 0 && x % 1 === 0;
+  };
+
+  // compare two JSON values
+  var jsonEqual = function(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+      if (a.length !== b.length) {
+        return false;
+      }
+      for (var i = 0; i < a.length; i += 1) {
+        if (!jsonEqual(a[i], b[i])) {
+          return false;
+        }
+      }
+      return true;
+    }
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+      var keys = Object.keys(a);
+      if (keys.length !== Object.keys(b).length) {
+        return false;
+      }
+      for (var j = 0; j < keys.length; j += 1) {
+        if (!hasOwn(b, keys[j]) || !jsonEqual(a[keys[j]], b[keys[j]])) {
+          return false;
+        }
+      }
+      return true;
+    }
+
+    return a === b;
+  };
+
+  // check if a value has a type
+  var hasSchemaType = function(value, type) {
+    if (type === 'null') {
+      return value === null;
+    }
+    if (type === 'number') {
+      return typeof value === 'number' && isFinite(value);
+    }
+    if (type === 'integer') {
+      return typeof value === 'number' && isFinite(value) && value % 1 === 0;
+    }
+    if (type === 'array') {
+      return Array.isArray(value);
+    }
+    if (type === 'object') {
+      return isPlainObject(value);
+    }
+    if (type === 'binary') {
+      return isBinaryValue(value);
+    }
+    return typeof value === type;
+  };
+
+  // make sure a schema only uses the keywords we support, and uses them correctly
+  var checkSchema = function(schema) {
+    if (schema === true || schema === false) {
+      return;
+    }
+
+    if (!isPlainObject(schema)) {
+      throw 'Invalid parameter: schema';
+    }
+
+    for (var keyword in schema) {
+      if (schema.hasOwnProperty(keyword)) {
+        var value = schema[keyword];
+        var valid;
+        if (keyword === 'type') {
+          var types = Array.isArray(value) ? value : [value];
+          valid = types.length > 0 && types.every(function(type) {
+            return SCHEMA_TYPES.indexOf(type) !== -1;
+          });
+        } else if (keyword === 'enum') {
+          valid = Array.isArray(value);
+        } else if (keyword === 'const') {
+          valid = true;
+        } else if (keyword === 'anyOf') {
+          valid = Array.isArray(value) && value.length > 0;
+          if (valid) {
+            value.forEach(checkSchema);
+          }
+        } else if (keyword === 'minimum' || keyword === 'maximum' ||
+            keyword === 'exclusiveMinimum' || keyword === 'exclusiveMaximum') {
+          valid = typeof value === 'number';
+        } else if (keyword === 'minLength' || keyword === 'maxLength' ||
+            keyword === 'minItems' || keyword === 'maxItems') {
+          valid = isCount(value);
+        } else if (keyword === 'pattern') {
+          valid = typeof value === 'string';
+          if (valid) {
+            try {
+              new RegExp(value);
+            } catch (e) {
+              valid = false;
+            }
+          }
+        } else if (keyword === 'items' || keyword === 'additionalProperties') {
+          checkSchema(value);
+          valid = true;
+        } else if (keyword === 'properties') {
+          valid = isPlainObject(value);
+          if (valid) {
+            for (var property in value) {
+              if (value.hasOwnProperty(property)) {
+                checkSchema(value[property]);
+              }
+            }
+          }
+        } else if (keyword === 'required') {
+          valid = Array.isArray(value) && value.every(function(property) {
+            return typeof property === 'string';
+          });
+        } else {
+          // ignore annotations, but nothing else, so a typo doesn't silently turn off validation
+          valid = keyword === 'title' || keyword === 'description' || keyword === '$schema' || keyword === '$comment';
+        }
+
+        if (!valid) {
+          throw 'Invalid parameter: schema.' + keyword;
+        }
+      }
+    }
+  };
+
+  // check a value against a schema
+  // returns null if the value is valid, or the path to the first invalid part of it (e.g., 'message.items[2]')
+  var validateSchema = function(schema, value, path) {
+    if (schema === true) {
+      return null;
+    }
+    if (schema === false) {
+      return path;
+    }
+
+    if (schema.type !== undefined) {
+      var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(function(type) {
+        return hasSchemaType(value, type);
+      })) {
+        return path;
+      }
+    }
+
+    if (schema.enum !== undefined && !schema.enum.some(function(option) {
+      return jsonEqual(option, value);
+    })) {
+      return path;
+    }
+
+    if (hasOwn(schema, 'const') && !jsonEqual(schema.const, value)) {
+      return path;
+    }
+
+    if (schema.anyOf !== undefined && !schema.anyOf.some(function(option) {
+      return validateSchema(option, value, path) === null;
+    })) {
+      return path;
+    }
+
+    if (typeof value === 'number') {
+      if ((schema.minimum !== undefined && value < schema.minimum) ||
+          (schema.maximum !== undefined && value > schema.maximum) ||
+          (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) ||
+          (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum)) {
+        return path;
+      }
+    }
+
+    if (typeof value === 'string') {
+      // lengths are counted in code points, so characters outside the BMP count once
+      var length = value.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '_').length;
+      if ((schema.minLength !== undefined && length < schema.minLength) ||
+          (schema.maxLength !== undefined && length > schema.maxLength) ||
+          (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))) {
+        return path;
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if ((schema.minItems !== undefined && value.length < schema.minItems) ||
+          (schema.maxItems !== undefined && value.length > schema.maxItems)) {
+        return path;
+      }
+      if (schema.items !== undefined) {
+        for (var i = 0; i < value.length; i += 1) {
+          var itemError = validateSchema(schema.items, value[i], path + '[' + i + ']');
+          if (itemError !== null) {
+            return itemError;
+          }
+        }
+      }
+    }
+
+    if (isPlainObject(value)) {
+      var properties = schema.properties === undefined ? {} : schema.properties;
+      if (schema.required !== undefined) {
+        for (var j = 0; j < schema.required.length; j += 1) {
+          if (!hasOwn(value, schema.required[j])) {
+            return path + '.' + schema.required[j];
+          }
+        }
+      }
+      for (var key in value) {
+        if (hasOwn(value, key)) {
+          var propertySchema = hasOwn(properties, key) ? properties[key] : schema.additionalProperties;
+          if (propertySchema !== undefined) {
+            var propertyError = validateSchema(propertySchema, value[key], path + '.' + key);
+            if (propertyError !== null) {
+              return propertyError;
+            }
+          }
+        }
+      }
+    }
+
+    return null;
+  };
+
+  // make sure a schema is supported, and return a function for validating messages against it
+  // the function returns null if the message is valid, or the path to the first invalid part of it
+  var compileSchema = function(schema) {
+    checkSchema(schema);
+
+    return function(message) {
+      return validateSchema(schema, message, 'message');
+    };
+  };
+
+  // make a pipeline which passes events through a list of middleware functions, one event at a time
+  // each function is called with the event and a next callback, and can change the event before calling next()
+  // calling next(error) (or throwing) stops the event
+  // callback(error) is called once the event gets through (with error === null) or is stopped
+  var makePipeline = function(middleware) {
+    var events = [];
+    var running = false;
+
+    var runNext = function() {
+      if (running || events.length === 0) {
+        return;
+      }
+      running = true;
+
+      var item = events.shift();
+      var index = 0;
+
+      // hand the event over, then move on to the next one
+      var finish = function(error) {
+        try {
+          item.callback(error);
+        } finally {
+          running = false;
+          runNext();
+        }
+      };
+
+      var next = function(error) {
+        if (error !== undefined && error !== null) {
+          finish(error);
+          return;
+        }
+
+        if (index === middleware.length) {
+          finish(null);
+          return;
+        }
+
+        var fn = middleware[index];
+        index += 1;
+
+        // each function only gets to call next once
+        var called = false;
+        try {
+          fn(item.event, function(error) {
+            if (!called) {
+              called = true;
+              next(error);
+            }
+          });
+        } catch (e) {
+          // don't swallow errors thrown further down the line
+          if (called) {
+            throw e;
+          }
+          called = true;
+          finish(e);
+        }
+      };
+
+      next(null);
+    };
+
+    return function(event, callback) {
+      events.push({
+        event: event,
+        callback: callback
+      });
+      runNext();
+    };
+  };
+
+  // make an emitter for a fixed set of event names
+  // any number of listeners can subscribe to each event, in addition to the single handler each of the older methods registers
+  var makeEmitter = function(names) {
+    // the listeners for each event, in the order they were added
+    var listeners = {};
+    for (var i = 0; i < names.length; i += 1) {
+      listeners[names[i]] = [];
+    }
+
+    // make sure an event and a listener are valid
+    var check = function(name, listener) {
+      if (typeof name !== 'string' || !listeners.hasOwnProperty(name)) {
+        throw 'Invalid parameter: event';
+      }
+
+      if (typeof listener !== 'function') {
+        throw 'Invalid parameter: listener';
+      }
+    };
+
+    var add = function(name, listener, once) {
+      check(name, listener);
+      listeners[name].push({
+        listener: listener,
+        once: once
+      });
+    };
+
+    return {
+      // add a listener for an event
+      on: function(name, listener) {
+        add(name, listener, false);
+      },
+
+      // add a listener which is removed after the next time the event happens
+      once: function(name, listener) {
+        add(name, listener, true);
+      },
+
+      // remove a listener (if it was added more than once, only the first one is removed)
+      off: function(name, listener) {
+        check(name, listener);
+        for (var i = 0; i < listeners[name].length; i += 1) {
+          if (listeners[name][i].listener === listener) {
+            listeners[name].splice(i, 1);
+            return;
+          }
+        }
+      },
+
+      // check if an event has any listeners
+      hasListeners: function(name) {
+        return listeners[name].length > 0;
+      },
+
+      // call the listeners for an event with the rest of the arguments
+      // listeners added or removed along the way don't affect this round
+      emit: function(name) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        var entries = listeners[name].slice();
+        for (var i = 0; i < entries.length; i += 1) {
+          if (entries[i].once) {
+            var index = listeners[name].indexOf(entries[i]);
+            if (index === -1) {
+              continue;
+            }
+            listeners[name].splice(index, 1);
+          }
+          entries[i].listener.apply(null, args);
+        }
+      }
+    };
+  };
+
+  // make an async iterator over the messages of one type, based on an emitter's 'message' and 'close' events
+  // messages are buffered until they are asked for, and the iterator finishes once the socket is closed
+  var makeMessageIterator = function(events, type, closed) {
+    var buffered = [];
+    var waiting = [];
+    var done = closed;
+
+    var onMessage = function(messageType, message) {
+      if (messageType !== type) {
+        return;
+      }
+      if (waiting.length > 0) {
+        waiting.shift()({ value: message, done: false });
+      } else {
+        buffered.push(message);
+      }
+    };
+
+    // stop listening, and let anyone still waiting know there's nothing more to come
+    var finish = function() {
+      if (!done) {
+        done = true;
+        events.off('message', onMessage);
+        events.off('close', finish);
+        while (waiting.length > 0) {
+          waiting.shift()({ value: undefined, done: true });
+        }
+      }
+    };
+
+    if (!done) {
+      events.on('message', onMessage);
+      events.on('close', finish);
+    }
+
+    var iterator = {
+      // get the next message, once there is one
+      next: function() {
+        if (buffered.length > 0) {
+          return Promise.resolve({ value: buffered.shift(), done: false });
+        }
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(function(resolve) {
+          waiting.push(resolve);
+        });
+      },
+
+      // stop iterating early (e.g., when a for await loop is exited with break)
+      'return': function() {
+        buffered = [];
+        finish();
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+
+    // the iterator is its own iterable, so it works with for await in browsers that support it
+    if (typeof Symbol !== 'undefined' && Symbol.asyncIterator !== undefined) {
+      iterator[Symbol.asyncIterator] = function() {
+        return iterator;
+      };
+    }
+
+    return iterator;
+  };
+
   return {
     // check if the browser supports WebSockets
     isSupported: function() {
@@ -21,7 +685,7 @@ var socketjs = (function() {
     },
 
     // initiate a connection
-    connect: function(host, secure) {
+    connect: function(host, secure, options) {
       if (host !== undefined && typeof host !== 'string') {
         throw 'Invalid parameter: host';
       }
@@ -30,26 +694,140 @@ var socketjs = (function() {
         throw 'Invalid parameter: secure';
       }
 
-      if (!socketjs.isSupported()) {
-        throw 'WebSockets are not supported';
+      if (options === undefined) {
+        options = {};
+      }
+
+      if (options === null || typeof options !== 'object') {
+        throw 'Invalid parameter: options';
+      }
+
+      // the server can have several endpoints on different paths
+      var path = options.path === undefined ? '/' : options.path;
+      if (typeof path !== 'string' || path.charAt(0) !== '/') {
+        throw 'Invalid parameter: options.path';
+      }
+
+      // the query string can be given as a string or as an object
+      var query = options.query === undefined ? '' : options.query;
+      if (query !== null && typeof query === 'object') {
+        query = Object.keys(query).map(function(key) {
+          return encodeURIComponent(key) + '=' + encodeURIComponent(String(query[key]));
+        }).join('&');
+      }
+      if (typeof query !== 'string') {
+        throw 'Invalid parameter: options.query';
+      }
+
+      // after a network interruption, wait a little longer before each attempt to reconnect
+      // the delays are randomized so lots of clients don't all reconnect at the same time
+      var reconnectDelay = numberOption(options, 'reconnectDelay', 1000);
+      var reconnectMultiplier = numberOption(options, 'reconnectMultiplier', 2);
+      var reconnectMaxDelay = numberOption(options, 'reconnectMaxDelay', 30000);
+      var reconnectJitter = numberOption(options, 'reconnectJitter', 0.5);
+      var maxReconnectAttempts = numberOption(options, 'maxReconnectAttempts', Infinity);
+      if (reconnectMultiplier < 1) {
+        throw 'Invalid parameter: options.reconnectMultiplier';
+      }
+      if (reconnectJitter > 1) {
+        throw 'Invalid parameter: options.reconnectJitter';
+      }
+
+      // in reliable mode, messages are acknowledged and replayed after a reconnect
+      var reliable = options.reliable === undefined ? false : options.reliable;
+      if (typeof reliable !== 'boolean') {
+        throw 'Invalid parameter: options.reliable';
+      }
+      var reliableBufferSize = numberOption(options, 'reliableBufferSize', 1000);
+
+      // binary data from the server is delivered as array buffers or blobs
+      var binaryType = options.binaryType === undefined ? 'arraybuffer' : options.binaryType;
+      if (binaryType !== 'arraybuffer' && binaryType !== 'blob') {
+        throw 'Invalid parameter: options.binaryType';
+      }
+
+      // the application protocols to ask the server for, in order of preference
+      var protocols = options.protocols === undefined ? [] : options.protocols;
+      if (!Array.isArray(protocols) || !protocols.every(function(protocol) {
+        return typeof protocol === 'string' && /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/.test(protocol);
+      })) {
+        throw 'Invalid parameter: options.protocols';
+      }
+      var offeredProtocols = protocols.length === 0 ? ['socketjs.' + PROTOCOL_VERSION] : protocols.map(function(protocol) {
+        return 'socketjs.' + PROTOCOL_VERSION + '+' + protocol;
+      });
+
+      // a different WebSocket implementation can be provided, e.g., outside of a browser
+      var WebSocketClass = options.WebSocket;
+      if (WebSocketClass === undefined) {
+        if (!socketjs.isSupported()) {
+          throw 'WebSockets are not supported';
+        }
+        WebSocketClass = WebSocket;
+      } else if (typeof WebSocketClass !== 'function') {
+        throw 'Invalid parameter: options.WebSocket';
       }
 
       var wss = secure === undefined ? (location.protocol.toLowerCase() === 'https:') : secure;
-      var url = (wss ? 'wss://' : 'ws://') + (host === undefined ? window.location.host : host) + '/';
+      var url = (wss ? 'wss://' : 'ws://') + (host === undefined ? window.location.host : host) + path +
+        (query === '' ? '' : '?' + query.replace(/^\?/, ''));
       var websocket = null;
       var permanentlyClosed = false;
       var temporarilyDisconnected = false;
       var messageHandlers = {};
       var disconnectHandler = null;
       var reconnectHandler = null;
+      var reconnectingHandler = null;
       var closeHandler = null;
+      var reconnectAttempts = 0;
+      var reconnectTimer = null;
       var outgoingQueue = [];
+      var pendingRequests = {};
+      var nextRequestId = 0;
+      var streamId = null;
+      var streamReady = false;
+      var nextSeq = 1;
+      var received = 0;
+      var unacknowledged = [];
+      var ackTimer = null;
+      var drainHandler = null;
+      var drainTimer = null;
+      var middleware = [];
+      var inbound = makePipeline(middleware);
+      var outbound = makePipeline(middleware);
+      var pendingSetup = null;
+      var socket = null;
+      var socketEvents = makeEmitter(['message', 'close', 'disconnect', 'reconnecting', 'reconnect', 'drain', 'channel']);
+      var closeEvent = null;
+      var closedPromise = null;
+      var retryAfter = null;
+      var sessionToken = null;
+      var schemas = {};
+      var channels = {};
+
+      // how many messages, bytes, and reconnects the socket has handled so far
+      var counters = {
+        messagesSent: 0,
+        messagesReceived: 0,
+        bytesSent: 0,
+        bytesReceived: 0,
+        reconnects: 0,
+        messagesDropped: 0,
+        parseErrors: 0
+      };
+
+      // check a message against the schema for its type, if there is one
+      // returns null if the message is valid, or the path to the first invalid part of it
+      var validateMessage = function(type, message) {
+        return schemas.hasOwnProperty(type) ? schemas[type](message) : null;
+      };
 
       // this function creates a WebSocket and ensures that
       // the appropriate callbacks are attached before any
       // events are fired
       var makeWebSocket = function(url) {
-        var connection = new WebSocket(url);
+        var connection = new WebSocketClass(url, offeredProtocols);
+        connection.binaryType = 'arraybuffer';
         connection.onopen = onSocketOpen;
         connection.onmessage = onSocketMessage;
         connection.onclose = onSocketClose;
@@ -59,75 +837,563 @@ var socketjs = (function() {
       // called once the socket is connected
       var onSocketOpen = function() {
         // check if we just reconnected after some downtime
+        var reconnecting = temporarilyDisconnected;
+        var reconnectData = null;
         if (temporarilyDisconnected) {
           temporarilyDisconnected = false;
+          reconnectAttempts = 0;
+          counters.reconnects += 1;
+
+          // clear the outgoing queue
+          if (outgoingQueue.length > 0) {
+            counters.messagesDropped += outgoingQueue.length;
+            outgoingQueue.splice(0, outgoingQueue.length);
+          }
+
+          // notify the application and gather any context to send to the server
+          if (reconnectHandler !== null) {
+            reconnectData = reconnectHandler();
+            if (reconnectData === undefined) {
+              reconnectData = null;
+            }
+            if (!jsonConvertible(reconnectData)) {
+              throw 'Invalid reconnectData';
+            }
+          }
+          socketEvents.emit('reconnect');
+          forEachChannel(function(channel) {
+            channel.events.emit('reconnect');
+          });
+        }
+
+        // hold on to outgoing messages until the middleware lets the connection through
+        var openedWebSocket = websocket;
+        pendingSetup = openedWebSocket;
+        var event = {
+          kind: 'connect',
+          socket: socket,
+          reconnectData: reconnectData,
+          reconnecting: reconnecting
+        };
+        inbound(event, function(error) {
+          if (pendingSetup === openedWebSocket) {
+            pendingSetup = null;
+          }
+          if (websocket !== openedWebSocket || permanentlyClosed || temporarilyDisconnected) {
+            return;
+          }
+
+          if (error !== null) {
+            close(1000, '');
+            return;
+          }
+
+          // let the server know whether this is the first connection or
+          // whether we reconnected from a previously severed connection
+          // this goes ahead of any messages that were sent in the meantime
+          var envelope = {
+            type: reconnecting ? 'reconnect' : 'connect'
+          };
+          if (reconnecting) {
+            envelope.reconnectData = event.reconnectData;
+
+            // ask the server to resume our session, if it gave us one
+            if (sessionToken !== null) {
+              envelope.session = sessionToken;
+            }
+          }
+          if (reliable) {
+            envelope.reliable = true;
+            if (reconnecting) {
+              envelope.stream = {
+                id: streamId,
+                received: received
+              };
+            }
+          }
+          // the channels have to be opened again after a reconnect
+          var setupEnvelopes = [envelope];
+          if (reconnecting) {
+            forEachChannel(function(channel) {
+              setupEnvelopes.push({
+                type: 'openChannel',
+                channel: channel.name
+              });
+            });
+          }
+          outgoingQueue.unshift.apply(outgoingQueue, setupEnvelopes);
+
+          // send any messages in the queue
+          flushOutgoingQueue();
+        });
+      };
+
+      // in reliable mode, give a message a sequence number and hold on to it until it's acknowledged
+      // messages are only sent once the server has told us which ones it already has
+      var sendReliably = function(envelope) {
+        envelope.seq = nextSeq;
+        nextSeq += 1;
+        unacknowledged.push(envelope);
+
+        // dropping the oldest message would leave a gap the server can't know about, so give up instead
+        // browsers only let us close with 1000 (or an application-defined code), so the reason says what happened
+        if (unacknowledged.length > reliableBufferSize) {
+          close(1000, 'Too many unacknowledged messages');
+          return;
+        }
+
+        if (streamReady && !temporarilyDisconnected) {
+          outgoingQueue.push(envelope);
+          flushOutgoingQueue();
+        }
+      };
+
+      // the server told us which stream of messages this connection is part of
+      var onStream = function(data) {
+        if (data.id === null) {
+          // the server doesn't support reliable mode, so just send the messages normally
+          reliable = false;
+        } else if (streamId !== null && data.id !== streamId) {
+          // the server forgot about our stream, so the messages we were holding on to are lost
+          unacknowledged = [];
+        } else if (typeof data.received === 'number') {
+          // the server might have missed some of the messages we already sent
+          acknowledge(data.received);
+        }
+
+        streamId = data.id;
+        streamReady = true;
+
+        // send (or resend) everything the server doesn't have yet
+        for (var i = 0; i < unacknowledged.length; i += 1) {
+          outgoingQueue.push(unacknowledged[i]);
+        }
+        if (!reliable) {
+          unacknowledged = [];
+        }
+        flushOutgoingQueue();
+      };
+
+      // the server received every message up to and including seq
+      var acknowledge = function(seq) {
+        while (unacknowledged.length > 0 && unacknowledged[0].seq <= seq) {
+          unacknowledged.shift();
+        }
+      };
+
+      // let the server know which messages we've received, a few at a time
+      var scheduleAck = function() {
+        if (ackTimer === null) {
+          ackTimer = setTimeout(function() {
+            ackTimer = null;
+            if (!permanentlyClosed && !temporarilyDisconnected) {
+              outgoingQueue.push({
+                type: 'ack',
+                seq: received
+              });
+              flushOutgoingQueue();
+            }
+          }, 0);
+        }
+      };
+
+      // send a request to the server (on a channel, or on the connection itself if channel is null) and call back once it responds
+      var sendRequest = function(channel, type, message, timeout, callback) {
+        var event = {
+          kind: 'send',
+          socket: socket,
+          channel: channel === null ? null : channel.name,
+          type: type,
+          message: message,
+          request: true
+        };
+        outbound(event, function(error) {
+          if (error !== null) {
+            callback(error, null);
+          } else if (permanentlyClosed) {
+            callback('Connection closed', null);
+          } else if (channel !== null && !isOpen(channel)) {
+            callback('Channel closed', null);
+          } else {
+            startRequest(channel, event.type, event.message, timeout, callback);
+          }
+        });
+      };
+
+      // send a request that made it through the middleware
+      var startRequest = function(channel, type, message, timeout, callback) {
+        var id = nextRequestId;
+        nextRequestId += 1;
+
+        // give up if the server takes too long to respond
+        var timer = null;
+        if (timeout !== undefined) {
+          timer = setTimeout(function() {
+            delete pendingRequests[id];
+            callback('Request timed out', null);
+          }, timeout);
+        }
+
+        pendingRequests[id] = {
+          timer: timer,
+          callback: callback,
+          channel: channel
+        };
+
+        var envelope = {
+          type: 'request',
+          id: id,
+          messageType: type,
+          message: message
+        };
+        if (channel !== null) {
+          envelope.channel = channel.name;
+        }
+        outgoingQueue.push(envelope);
+        flushOutgoingQueue();
+      };
+
+      // the server responded to one of our requests
+      var settleRequest = function(data) {
+        if (typeof data.id !== 'number' || !pendingRequests.hasOwnProperty(data.id)) {
+          return;
+        }
+
+        var pendingRequest = pendingRequests[data.id];
+        delete pendingRequests[data.id];
+        if (pendingRequest.timer !== null) {
+          clearTimeout(pendingRequest.timer);
+        }
+
+        if (data.error !== undefined && data.error !== null) {
+          pendingRequest.callback(data.error, null);
+        } else {
+          pendingRequest.callback(null, data.message === undefined ? null : data.message);
+        }
+      };
+
+      // reject all requests still waiting for a response
+      var rejectPendingRequests = function(reason) {
+        var requests = pendingRequests;
+        pendingRequests = {};
+        for (var id in requests) {
+          if (requests.hasOwnProperty(id)) {
+            if (requests[id].timer !== null) {
+              clearTimeout(requests[id].timer);
+            }
+            requests[id].callback(reason, null);
+          }
+        }
+      };
+
+      // reply to a request from the server
+      var sendResponse = function(id, error, response) {
+        if (permanentlyClosed || temporarilyDisconnected) {
+          return;
+        }
+
+        if (error === null) {
+          if (response === undefined) {
+            response = null;
+          }
+          if (!jsonConvertible(response)) {
+            error = 'Invalid response';
+          }
+        }
+
+        if (error === null) {
+          outgoingQueue.push({
+            type: 'response',
+            id: id,
+            message: response
+          });
+        } else {
+          outgoingQueue.push({
+            type: 'response',
+            id: id,
+            error: error
+          });
+        }
+        flushOutgoingQueue();
+      };
+
+      // pass a message from the server through the middleware, then deliver it to the application
+      // if the middleware stops a request, the server gets the error as the response
+      // messages which don't match the schema for their type never reach the application
+      var dispatchMessage = function(type, message, requestId, channelName) {
+        // messages on a channel which isn't open are dropped
+        if (channelName !== null && !hasOwn(channels, channelName)) {
+          if (requestId !== null) {
+            sendResponse(requestId, 'Channel closed', null);
+          }
+          return;
+        }
 
-          // clear the outgoing queue
-          if (outgoingQueue.length > 0) {
-            outgoingQueue.splice(0, outgoingQueue.length);
+        // check the message against the schema for its type first, so the middleware only sees valid messages
+        var invalidPath = validateMessage(type, message);
+        if (invalidPath !== null) {
+          if (requestId !== null) {
+            sendResponse(requestId, 'Invalid parameter: ' + invalidPath, null);
           }
+          return;
+        }
 
-          // notify the application and gather any context to send to the server
-          var reconnectData = null;
-          if (reconnectHandler !== null) {
-            reconnectData = reconnectHandler();
-            if (reconnectData === undefined) {
-              reconnectData = null;
-            }
-            if (!jsonConvertible(reconnectData)) {
-              throw 'Invalid reconnectData';
+        var event = {
+          kind: 'receive',
+          socket: socket,
+          channel: channelName,
+          type: type,
+          message: message,
+          request: requestId !== null
+        };
+        inbound(event, function(error) {
+          if (error === null) {
+            deliverMessage(event.type, event.message, requestId, channelName);
+          } else if (requestId !== null) {
+            sendResponse(requestId, serializableError(error), null);
+          }
+        });
+      };
+
+      // deliver a message to the application, and reply if the server asked for a response
+      var deliverMessage = function(type, message, requestId, channelName) {
+        var handlers = messageHandlers;
+        var events = socketEvents;
+        if (channelName !== null) {
+          // the channel might have been closed while the message was in the middleware
+          if (!hasOwn(channels, channelName)) {
+            if (requestId !== null) {
+              sendResponse(requestId, 'Channel closed', null);
             }
+            return;
+          }
+          handlers = channels[channelName].messageHandlers;
+          events = channels[channelName].events;
+        }
+
+        // the type comes from the other side, so it might be the name of a property every object has (e.g., constructor)
+        var messageHandler = hasOwn(handlers, type) ? handlers[type] : undefined;
+
+        if (requestId === null) {
+          if (messageHandler !== undefined) {
+            messageHandler(message);
           }
+          events.emit('message', type, message);
+          return;
+        }
 
-          // let the server know we reconnected from a previously severed connection
-          outgoingQueue.push({
-            type: 'reconnect',
-            reconnectData: reconnectData
-          });
+        if (messageHandler === undefined) {
+          sendResponse(requestId, 'No handler for message type: ' + type, null);
+          return;
         }
 
-        // send any messages in the queue
-        flushOutgoingQueue();
+        var result;
+        try {
+          result = messageHandler(message);
+        } catch (e) {
+          sendResponse(requestId, serializableError(e), null);
+          return;
+        }
+
+        if (isThenable(result)) {
+          result.then(function(response) {
+            sendResponse(requestId, null, response);
+          }, function(e) {
+            sendResponse(requestId, serializableError(e), null);
+          });
+        } else {
+          sendResponse(requestId, null, result);
+        }
       };
 
       // called when there is new data from the server
       var onSocketMessage = function(e) {
-        var data = JSON.parse(e.data);
-        if (data.type === 'message') {
+        counters.messagesReceived += 1;
+        counters.bytesReceived += byteLength(e.data);
+
+        var data;
+        try {
+          data = typeof e.data === 'string' ? JSON.parse(e.data) : decodeBinaryMessage(e.data, binaryType);
+        } catch (error) {
+          data = null;
+        }
+
+        if (data === null || typeof data !== 'object') {
+          // the server sent something other than a socket.js message, so ignore it
+          counters.parseErrors += 1;
+        } else if (data.type === 'message') {
+          // in reliable mode, ignore messages we've already received (e.g., if the server replayed them)
+          var duplicate = false;
+          if (reliable && typeof data.seq === 'number') {
+            duplicate = data.seq <= received;
+            received = Math.max(received, data.seq);
+            scheduleAck();
+          }
+
           // send the message to the application
-          if (messageHandlers[data.messageType] !== undefined) {
-            messageHandlers[data.messageType](data.message);
+          if (!duplicate) {
+            dispatchMessage(data.messageType, data.message, null, channelOf(data));
+          }
+        } else if (data.type === 'stream') {
+          onStream(data);
+        } else if (data.type === 'ack') {
+          // the server received our messages, so we don't need to keep them around anymore
+          if (typeof data.seq === 'number') {
+            acknowledge(data.seq);
+          }
+        } else if (data.type === 'request') {
+          // send the request to the application and reply with the result
+          if (typeof data.id === 'number') {
+            dispatchMessage(data.messageType, data.message, data.id, channelOf(data));
+          }
+        } else if (data.type === 'response') {
+          // the server answered one of our requests
+          settleRequest(data);
+        } else if (data.type === 'openChannel') {
+          // the server opened a channel, or let us open one
+          if (typeof data.channel === 'string') {
+            if (!hasOwn(channels, data.channel)) {
+              var channel = makeChannel(data.channel);
+              channel.open = true;
+              channels[data.channel] = channel;
+              socketEvents.emit('channel', channel.api);
+            } else if (!channels[data.channel].open) {
+              channels[data.channel].open = true;
+              channels[data.channel].events.emit('open');
+            }
+          }
+        } else if (data.type === 'closeChannel') {
+          // the server closed a channel, or refused to let us open it
+          if (typeof data.channel === 'string' && hasOwn(channels, data.channel)) {
+            closeChannel(channels[data.channel], data.error === undefined ? null : data.error, false);
+          }
+        } else if (data.type === 'session') {
+          // the server gave us a token for our session, which we present when reconnecting
+          if (typeof data.token === 'string') {
+            sessionToken = data.token;
+          }
+        } else if (data.type === 'shutdown') {
+          // the server is about to go away, and told us how long to wait before reconnecting
+          if (typeof data.retryAfter === 'number' && data.retryAfter >= 0) {
+            retryAfter = data.retryAfter;
           }
         } else if (data.type === 'close') {
-          // the server wants to close the socket
-          close();
+          // older servers ask us to close the socket with a message instead of a close frame
+          close(1000, '');
         }
       };
 
       // called when the socket is closed
-      var onSocketClose = function() {
+      var onSocketClose = function(e) {
+        // the server closed the connection on purpose, so don't reconnect
+        if (!permanentlyClosed && !isTemporaryCloseCode(e.code)) {
+          close(e.code, e.reason);
+        }
+
         if (!permanentlyClosed) {
           // we didn't get a "close" message from the server
           // so interpret this as a temporary network interruption
           if (!temporarilyDisconnected) {
             temporarilyDisconnected = true;
+            streamReady = false;
+
+            // responses to outstanding requests will never arrive
+            rejectPendingRequests('Connection interrupted');
 
             if (disconnectHandler !== null) {
               disconnectHandler();
             }
+            socketEvents.emit('disconnect');
+            forEachChannel(function(channel) {
+              channel.events.emit('disconnect');
+            });
+          }
+
+          // try again in a little while
+          scheduleReconnect();
+        }
+      };
+
+      // wait a while before trying to reconnect, or give up if we've tried too many times
+      var scheduleReconnect = function() {
+        // there's no point in trying while the browser knows it's offline
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+          return;
+        }
+
+        reconnectAttempts += 1;
+        if (reconnectAttempts > maxReconnectAttempts) {
+          close(1006, 'Unable to reconnect');
+          return;
+        }
+
+        var delay = Math.min(reconnectMaxDelay, reconnectDelay * Math.pow(reconnectMultiplier, reconnectAttempts - 1));
+        delay = Math.round(delay * (1 - reconnectJitter * Math.random()));
+
+        // if the server said when to come back, wait at least that long
+        // the delay is stretched (rather than shortened) by the jitter, so the clients don't all come back at once
+        if (retryAfter !== null) {
+          delay = Math.max(delay, Math.round(retryAfter * (1 + reconnectJitter * Math.random())));
+          retryAfter = null;
+        }
+
+        // the application might decide to give up
+        if (reconnectingHandler !== null) {
+          reconnectingHandler(reconnectAttempts, delay);
+        }
+        if (!permanentlyClosed) {
+          socketEvents.emit('reconnecting', reconnectAttempts, delay);
+        }
+        if (permanentlyClosed) {
+          return;
+        }
+
+        reconnectTimer = setTimeout(reconnectNow, delay);
+      };
+
+      // attempt to set up a new socket, retry on failure
+      var reconnectNow = function() {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        if (!permanentlyClosed) {
+          try {
+            websocket = makeWebSocket(url);
+          } catch (e) {
+            scheduleReconnect();
           }
+        }
+      };
+
+      // when the network comes back, reconnect right away
+      var onOnline = function() {
+        if (temporarilyDisconnected && websocket.readyState === WebSocketClass.CLOSED) {
+          reconnectNow();
+        }
+      };
+
+      // when the network goes away, the socket might not notice for a long time
+      var onOffline = function() {
+        if (!temporarilyDisconnected && websocket.readyState === WebSocketClass.OPEN) {
+          websocket.close();
+        }
+      };
 
-          // attempt to set up a new socket, retry on failure
-          var reconnectingInterval = setInterval(function() {
-            if (!permanentlyClosed) {
-              try {
-                websocket = makeWebSocket(url);
-              } catch (e) {
-                return;
+      // WebSockets don't tell us when they're done sending, so check every so often until they are
+      var watchBufferedAmount = function() {
+        if (drainTimer === null && (drainHandler !== null || socketEvents.hasListeners('drain')) && websocket.bufferedAmount > 0) {
+          drainTimer = setTimeout(function() {
+            drainTimer = null;
+            if (!permanentlyClosed && !temporarilyDisconnected) {
+              if (websocket.bufferedAmount > 0) {
+                watchBufferedAmount();
+              } else {
+                if (drainHandler !== null) {
+                  drainHandler();
+                }
+                socketEvents.emit('drain');
               }
             }
-            clearInterval(reconnectingInterval);
-          }, 2000);
+          }, 100);
         }
       };
 
@@ -136,92 +1402,418 @@ var socketjs = (function() {
         if (permanentlyClosed || temporarilyDisconnected) {
           // just drop messages if the connection is down
           if (outgoingQueue.length > 0) {
+            counters.messagesDropped += outgoingQueue.length;
             outgoingQueue.splice(0, outgoingQueue.length);
           }
         } else {
-          // send the messages to the server if the socket is ready
-          if (websocket.readyState === WebSocket.OPEN) {
+          // send the messages to the server if the socket is ready and the middleware let the connection through
+          if (websocket.readyState === WebSocketClass.OPEN && pendingSetup !== websocket) {
             for (var i = 0; i < outgoingQueue.length; i += 1) {
-              websocket.send(JSON.stringify(outgoingQueue[i]));
+              var data = encodeMessage(outgoingQueue[i]);
+              websocket.send(data);
+              counters.messagesSent += 1;
+              counters.bytesSent += byteLength(data);
             }
             if (i > 0) {
               outgoingQueue.splice(0, i);
+              watchBufferedAmount();
+            }
+          }
+        }
+      };
+
+      // send a message to the server on a channel (or on the connection itself, if channel is null)
+      var sendOn = function(channel, type, message) {
+        if (typeof type !== 'string') {
+          throw 'Invalid parameter: type';
+        }
+
+        if (!jsonConvertible(message)) {
+          throw 'Invalid parameter: message';
+        }
+
+        var invalidPath = validateMessage(type, message);
+        if (invalidPath !== null) {
+          throw 'Invalid parameter: ' + invalidPath;
+        }
+
+        if (permanentlyClosed) {
+          throw 'Attempted to transmit after the connection has been closed';
+        }
+
+        if (channel !== null && !isOpen(channel)) {
+          throw 'Attempted to transmit after the channel has been closed';
+        }
+
+        // a channel we opened can't be used until the server lets it through
+        if (channel !== null && !channel.open) {
+          throw 'Attempted to transmit before the channel has been opened';
+        }
+
+        var event = {
+          kind: 'send',
+          socket: socket,
+          channel: channel === null ? null : channel.name,
+          type: type,
+          message: message,
+          request: false
+        };
+        outbound(event, function(error) {
+          if (error !== null || permanentlyClosed || (channel !== null && !isOpen(channel))) {
+            return;
+          }
+
+          var envelope = {
+            type: 'message',
+            messageType: event.type,
+            message: event.message
+          };
+          if (channel !== null) {
+            envelope.channel = channel.name;
+          }
+
+          if (reliable) {
+            // in reliable mode, messages sent while disconnected are delivered after the reconnect
+            sendReliably(envelope);
+          } else if (!temporarilyDisconnected) {
+            outgoingQueue.push(envelope);
+            flushOutgoingQueue();
+          }
+        });
+      };
+
+      // send a request to the server on a channel (or on the connection itself, if channel is null)
+      // and get its response via a promise or a callback
+      var requestOn = function(channel, type, message, options, callback) {
+        if (typeof options === 'function' && callback === undefined) {
+          callback = options;
+          options = undefined;
+        }
+
+        if (typeof type !== 'string') {
+          throw 'Invalid parameter: type';
+        }
+
+        if (!jsonConvertible(message)) {
+          throw 'Invalid parameter: message';
+        }
+
+        var invalidPath = validateMessage(type, message);
+        if (invalidPath !== null) {
+          throw 'Invalid parameter: ' + invalidPath;
+        }
+
+        if (options !== undefined && (options === null || typeof options !== 'object')) {
+          throw 'Invalid parameter: options';
+        }
+
+        var timeout = options === undefined ? undefined : options.timeout;
+        if (timeout !== undefined && (typeof timeout !== 'number' || !(timeout > 0))) {
+          throw 'Invalid parameter: options.timeout';
+        }
+
+        if (callback !== undefined && typeof callback !== 'function') {
+          throw 'Invalid parameter: callback';
+        }
+
+        if (callback === undefined && typeof Promise === 'undefined') {
+          throw 'Promises are not supported, so a callback is required';
+        }
+
+        if (permanentlyClosed) {
+          throw 'Attempted to transmit after the connection has been closed';
+        }
+
+        if (channel !== null && !isOpen(channel)) {
+          throw 'Attempted to transmit after the channel has been closed';
+        }
+
+        // a channel we opened can't be used until the server lets it through
+        if (channel !== null && !channel.open) {
+          throw 'Attempted to transmit before the channel has been opened';
+        }
+
+        // the request is dropped during a network interruption, so fail immediately
+        var makeRequest = function(callback) {
+          if (temporarilyDisconnected) {
+            callback('Connection interrupted', null);
+          } else {
+            sendRequest(channel, type, message, timeout, callback);
+          }
+        };
+
+        if (callback !== undefined) {
+          makeRequest(callback);
+          return;
+        }
+
+        return new Promise(function(resolve, reject) {
+          makeRequest(function(error, response) {
+            if (error === null) {
+              resolve(response);
+            } else {
+              reject(error);
+            }
+          });
+        });
+      };
+
+      // register a callback to receive messages of a type (or remove it, if handler is null)
+      var setMessageHandler = function(handlers, type, handler) {
+        if (typeof type !== 'string') {
+          throw 'Invalid parameter: type';
+        }
+
+        if (handler !== null && typeof handler !== 'function') {
+          throw 'Invalid parameter: handler';
+        }
+
+        if (permanentlyClosed) {
+          throw 'Attempted to set message handler after the connection has been closed';
+        }
+
+        if (handler === null) {
+          delete handlers[type];
+        } else {
+          handlers[type] = handler;
+        }
+      };
+
+      // call a function for each open channel
+      var forEachChannel = function(fn) {
+        Object.keys(channels).forEach(function(name) {
+          fn(channels[name]);
+        });
+      };
+
+      // check if a channel is still open (a channel with the same name might have been opened since it was closed)
+      var isOpen = function(channel) {
+        return hasOwn(channels, channel.name) && channels[channel.name] === channel;
+      };
+
+      // make a channel, which has its own message handlers and events but shares the connection with the other channels
+      var makeChannel = function(name) {
+        var channel = {
+          name: name,
+
+          // false until the server lets a channel we opened through
+          open: false,
+
+          messageHandlers: {},
+          closeHandler: null,
+          events: makeEmitter(['open', 'message', 'close', 'disconnect', 'reconnect']),
+          api: null
+        };
+
+        channel.api = {
+          // the name of the channel
+          name: name,
+
+          // send a message to the server on this channel
+          send: function(type, message) {
+            sendOn(channel, type, message);
+          },
+
+          // send a request to the server on this channel and get its response via a promise or a callback
+          request: function(type, message, options, callback) {
+            return requestOn(channel, type, message, options, callback);
+          },
+
+          // register a callback to receive messages from the server on this channel
+          receive: function(type, handler) {
+            setMessageHandler(channel.messageHandlers, type, handler);
+          },
+
+          // close the channel or register a callback to be notified when the channel is closed
+          close: function(handler) {
+            if (handler !== undefined && handler !== null && typeof handler !== 'function') {
+              throw 'Invalid parameter: handler';
+            }
+
+            if (handler === undefined) {
+              closeChannel(channel, null, true);
+            } else {
+              channel.closeHandler = handler;
+            }
+          },
+
+          // add a listener for an event ('open', 'message', 'close', 'disconnect', or 'reconnect')
+          on: channel.events.on,
+
+          // add a listener which is removed after the next time the event happens
+          once: channel.events.once,
+
+          // remove a listener
+          off: channel.events.off,
+
+          // get an async iterator over the messages of a type on this channel, which finishes once the channel is closed
+          messages: function(type) {
+            if (typeof type !== 'string') {
+              throw 'Invalid parameter: type';
+            }
+
+            if (typeof Promise === 'undefined') {
+              throw 'Promises are not supported';
+            }
+
+            return makeMessageIterator(channel.events, type, !isOpen(channel));
+          }
+        };
+
+        return channel;
+      };
+
+      // close a channel, and let the application know
+      // error is null if either side closed the channel on purpose, or says why it was closed otherwise
+      var closeChannel = function(channel, error, notifyServer) {
+        if (!isOpen(channel)) {
+          return;
+        }
+
+        // if the connection is down, the server forgets the channel anyway, and we won't open it again when we reconnect
+        delete channels[channel.name];
+        if (notifyServer && !temporarilyDisconnected) {
+          outgoingQueue.push({
+            type: 'closeChannel',
+            channel: channel.name
+          });
+          flushOutgoingQueue();
+        }
+
+        // the requests on the channel won't get a response
+        for (var id in pendingRequests) {
+          if (pendingRequests.hasOwnProperty(id) && pendingRequests[id].channel === channel) {
+            var pendingRequest = pendingRequests[id];
+            delete pendingRequests[id];
+            if (pendingRequest.timer !== null) {
+              clearTimeout(pendingRequest.timer);
             }
+            pendingRequest.callback('Channel closed', null);
           }
         }
+
+        if (channel.closeHandler !== null) {
+          channel.closeHandler(error);
+        }
+        channel.events.emit('close', error);
       };
 
       // call this function to close the socket
-      var close = function() {
+      var close = function(code, reason) {
         if (!permanentlyClosed) {
           permanentlyClosed = true;
 
+          // stop trying to reconnect
+          clearTimeout(reconnectTimer);
+          reconnectTimer = null;
+
+          // forget the messages we were holding on to in case of a reconnect
+          clearTimeout(ackTimer);
+          clearTimeout(drainTimer);
+          unacknowledged = [];
+          if (typeof window !== 'undefined' && typeof window.removeEventListener === 'function') {
+            window.removeEventListener('online', onOnline);
+            window.removeEventListener('offline', onOffline);
+          }
+
           // actually close the WebSocket
-          if (websocket.readyState !== WebSocket.CLOSING &&
-              websocket.readyState !== WebSocket.CLOSED) {
-            websocket.close();
+          if (websocket.readyState !== WebSocketClass.CLOSING &&
+              websocket.readyState !== WebSocketClass.CLOSED) {
+            websocket.close(code, reason);
           }
 
+          // responses to outstanding requests will never arrive
+          rejectPendingRequests('Connection closed');
+
+          // close the channels, which can't outlive the connection
+          forEachChannel(function(channel) {
+            closeChannel(channel, 'Connection closed', false);
+          });
+
           // let the application know the connection was closed
+          closeEvent = {
+            code: code,
+            reason: reason
+          };
           if (closeHandler !== null) {
-            closeHandler();
+            closeHandler(code, reason);
           }
+          socketEvents.emit('close', code, reason);
         }
       };
 
       // connect to the server for the first time
       websocket = makeWebSocket(url);
 
-      // let the server know this is the first connection (we aren't
-      // reconnecting from a temporary network failure)
-      outgoingQueue.push({
-        type: 'connect'
-      });
-      flushOutgoingQueue();
+      // pay attention to the browser's idea of whether the network is available
+      if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+        window.addEventListener('online', onOnline);
+        window.addEventListener('offline', onOffline);
+      }
 
-      return {
+      socket = {
         // send a message to the server
         send: function(type, message) {
-          if (typeof type !== 'string') {
-            throw 'Invalid parameter: type';
+          sendOn(null, type, message);
+        },
+
+        // send a request to the server and get its response via a promise or a callback
+        request: function(type, message, options, callback) {
+          return requestOn(null, type, message, options, callback);
+        },
+
+        // register a callback to receive messages from the server
+        receive: function(type, handler) {
+          setMessageHandler(messageHandlers, type, handler);
+        },
+
+        // get a channel for exchanging messages separately from the rest of the connection, opening it if necessary
+        channel: function(name) {
+          if (typeof name !== 'string') {
+            throw 'Invalid parameter: name';
           }
 
-          if (!jsonConvertible(message)) {
-            throw 'Invalid parameter: message';
+          if (hasOwn(channels, name)) {
+            return channels[name].api;
           }
 
           if (permanentlyClosed) {
-            throw 'Attempted to transmit after the connection has been closed';
+            throw 'Attempted to open a channel after the connection has been closed';
           }
 
+          // the channel can be used once the server lets it through
+          // if the connection is down, the channel is opened when we reconnect
+          var channel = makeChannel(name);
+          channels[name] = channel;
           if (!temporarilyDisconnected) {
             outgoingQueue.push({
-              type: 'message',
-              messageType: type,
-              message: message
+              type: 'openChannel',
+              channel: name
             });
             flushOutgoingQueue();
           }
+          return channel.api;
         },
 
-        // register a callback to receive messages from the server
-        receive: function(type, handler) {
+        // the names of the channels which are open
+        channels: function() {
+          return Object.keys(channels).filter(function(name) {
+            return channels[name].open;
+          });
+        },
+
+        // register a schema for a message type (or remove it, if schema is null)
+        // messages of that type have to match it in both directions: the ones the server sends are rejected
+        // before they reach the application, and sending one that doesn't match throws
+        schema: function(type, schema) {
           if (typeof type !== 'string') {
             throw 'Invalid parameter: type';
           }
 
-          if (handler !== null && typeof handler !== 'function') {
-            throw 'Invalid parameter: handler';
-          }
-
-          if (permanentlyClosed) {
-            throw 'Attempted to set message handler after the connection has been closed';
-          }
-
-          if (handler === null) {
-            delete messageHandlers[type];
+          if (schema === null) {
+            delete schemas[type];
           } else {
-            messageHandlers[type] = handler;
+            schemas[type] = compileSchema(schema);
           }
         },
 
@@ -251,19 +1843,143 @@ var socketjs = (function() {
           reconnectHandler = handler;
         },
 
+        // register a callback to be invoked before each attempt to reconnect
+        reconnecting: function(handler) {
+          if (handler !== null && typeof handler !== 'function') {
+            throw 'Invalid parameter: handler';
+          }
+
+          if (permanentlyClosed) {
+            throw 'Attempted to set reconnecting handler after the connection has been closed';
+          }
+
+          reconnectingHandler = handler;
+        },
+
+        // the application protocol the server agreed to, or null if it didn't agree to one (e.g., because it doesn't support any)
+        get protocol() {
+          var match = /^socketjs\.\d+\+(.+)$/.exec(websocket.protocol);
+          return match === null ? null : match[1];
+        },
+
+        // the number of bytes the WebSocket hasn't sent yet
+        get bufferedAmount() {
+          return websocket.bufferedAmount;
+        },
+
+        // get a snapshot of how many messages, bytes, and reconnects the socket has handled so far
+        stats: function() {
+          return {
+            messagesSent: counters.messagesSent,
+            messagesReceived: counters.messagesReceived,
+            bytesSent: counters.bytesSent,
+            bytesReceived: counters.bytesReceived,
+            reconnects: counters.reconnects,
+            messagesDropped: counters.messagesDropped,
+            parseErrors: counters.parseErrors
+          };
+        },
+
+        // register a callback to be notified when everything sent so far has gone out
+        drain: function(handler) {
+          if (handler !== null && typeof handler !== 'function') {
+            throw 'Invalid parameter: handler';
+          }
+
+          if (permanentlyClosed) {
+            throw 'Attempted to set drain handler after the connection has been closed';
+          }
+
+          drainHandler = handler;
+          watchBufferedAmount();
+        },
+
+        // add a listener for an event ('message', 'close', 'disconnect', 'reconnecting', 'reconnect', 'drain', or 'channel')
+        // unlike the methods above, this doesn't replace the listeners which are already there
+        on: function(event, listener) {
+          socketEvents.on(event, listener);
+          watchBufferedAmount();
+        },
+
+        // add a listener which is removed after the next time the event happens
+        once: function(event, listener) {
+          socketEvents.once(event, listener);
+          watchBufferedAmount();
+        },
+
+        // remove a listener
+        off: socketEvents.off,
+
+        // a promise which is resolved with the status code and the reason once the connection is closed
+        get closed() {
+          if (closedPromise === null) {
+            if (typeof Promise === 'undefined') {
+              throw 'Promises are not supported';
+            }
+            closedPromise = new Promise(function(resolve) {
+              if (closeEvent !== null) {
+                resolve(closeEvent);
+              } else {
+                socketEvents.once('close', function() {
+                  resolve(closeEvent);
+                });
+              }
+            });
+          }
+          return closedPromise;
+        },
+
+        // get an async iterator over the messages of a type from the server, which finishes once the connection is closed
+        messages: function(type) {
+          if (typeof type !== 'string') {
+            throw 'Invalid parameter: type';
+          }
+
+          if (typeof Promise === 'undefined') {
+            throw 'Promises are not supported';
+          }
+
+          return makeMessageIterator(socketEvents, type, permanentlyClosed);
+        },
+
         // close the connection or register a callback to be notified when the connection is closed
-        close: function(handler) {
+        close: function(handler, reason) {
+          if (typeof handler === 'number') {
+            // the application chose a status code
+            if (handler !== 1000 && !(handler >= 3000 && handler <= 4999 && handler % 1 === 0)) {
+              throw 'Invalid parameter: code';
+            }
+
+            if (reason !== undefined && typeof reason !== 'string') {
+              throw 'Invalid parameter: reason';
+            }
+
+            close(handler, reason === undefined ? '' : reason);
+            return;
+          }
+
           if (handler !== undefined && handler !== null && typeof handler !== 'function') {
             throw 'Invalid parameter: handler';
           }
 
           if (handler === undefined) {
-            close();
+            close(1000, '');
           } else {
             closeHandler = handler;
           }
+        },
+
+        // add a function to the middleware for the connection, inbound messages, and outbound messages
+        use: function(fn) {
+          if (typeof fn !== 'function') {
+            throw 'Invalid parameter: fn';
+          }
+
+          middleware.push(fn);
         }
       };
+
+      return socket;
     }
   };
 })();
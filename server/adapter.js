@@ -0,0 +1,227 @@
+'use strict';
+
+var cluster = require('cluster');
+
+// an adapter is how a server fans out broadcasts and room messages
+// it has two methods:
+// - publish(event) delivers an event to every subscriber, including those in other processes
+// - subscribe(listener) registers a function to be called with every published event
+// events look like { room: 'lobby', messageType: 'chat', message: 'Hello!' }, where room is null for broadcasts
+
+// the list of functions interested in events, with a way to notify them all
+function makeListeners() {
+  var listeners = [];
+
+  return {
+    add: function(listener) {
+      listeners.push(listener);
+    },
+
+    notify: function(event) {
+      // copy the list in case a listener subscribes while we're iterating
+      var currentListeners = listeners.slice();
+      for (var i = 0; i < currentListeners.length; i += 1) {
+        currentListeners[i](event);
+      }
+    }
+  };
+}
+
+// messages can contain binary data (buffers, array buffers, and typed arrays)
+function isBinary(x) {
+  return Buffer.isBuffer(x) || x instanceof ArrayBuffer || ArrayBuffer.isView(x);
+}
+
+// copy binary data into a buffer
+function toBuffer(x) {
+  if (Buffer.isBuffer(x)) {
+    return x;
+  }
+  if (x instanceof ArrayBuffer) {
+    return new Buffer(new Uint8Array(x));
+  }
+  return new Buffer(new Uint8Array(x.buffer, x.byteOffset, x.byteLength));
+}
+
+// keys which start with '#' are reserved for { "#binary": index },
+// so the application's keys which start with '#' get another '#' in front of them
+function hasHashKey(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).some(function(key) {
+    return key.charAt(0) === '#';
+  });
+}
+
+// copy an object, renaming the keys which start with '#'
+function renameHashKeys(object, rename) {
+  var renamed = {};
+  Object.keys(object).forEach(function(key) {
+    // define the properties rather than assigning them, so a key like __proto__ doesn't change the prototype
+    Object.defineProperty(renamed, key.charAt(0) === '#' ? rename(key) : key, {
+      value: object[key],
+      enumerable: true,
+      writable: true,
+      configurable: true
+    });
+  });
+  return renamed;
+}
+
+function escapeKey(key) {
+  return '#' + key;
+}
+
+function unescapeKey(key) {
+  return key.slice(1);
+}
+
+// IPC messages are converted to JSON by default, which turns binary data into plain objects
+// so messages are sent between processes as JSON in which each piece of binary data is replaced by { "#binary": index },
+// along with the binary data itself as base64 strings
+function packMessage(message) {
+  var attachments = [];
+  var json = JSON.stringify(message, function(key, value) {
+    // buffers have a toJSON method, so we have to look at the original value
+    if (isBinary(this[key])) {
+      attachments.push(toBuffer(this[key]).toString('base64'));
+      return { '#binary': attachments.length - 1 };
+    }
+    if (hasHashKey(value)) {
+      return renameHashKeys(value, escapeKey);
+    }
+    return value;
+  });
+
+  return {
+    json: json,
+    attachments: attachments
+  };
+}
+
+// the inverse of packMessage
+// this throws if the message is malformed
+function unpackMessage(json, attachments) {
+  if (!Array.isArray(attachments)) {
+    throw 'Invalid message';
+  }
+
+  return JSON.parse(json, function(key, value) {
+    if (value !== null && typeof value === 'object' && Object.keys(value).length === 1 &&
+        Object.prototype.hasOwnProperty.call(value, '#binary')) {
+      var index = value['#binary'];
+      if (typeof index !== 'number' || index % 1 !== 0 || index < 0 || index >= attachments.length ||
+          typeof attachments[index] !== 'string') {
+        throw 'Invalid message';
+      }
+      return new Buffer(attachments[index], 'base64');
+    }
+    if (hasHashKey(value)) {
+      return renameHashKeys(value, unescapeKey);
+    }
+    return value;
+  });
+}
+
+// make sure an adapter has the methods we need
+exports.validate = function(adapter) {
+  return adapter !== null &&
+    typeof adapter === 'object' &&
+    typeof adapter.publish === 'function' &&
+    typeof adapter.subscribe === 'function';
+};
+
+// an adapter which only delivers events within the current process
+// this is the default, but one instance can also be shared between several servers
+exports.memory = function() {
+  var listeners = makeListeners();
+
+  return {
+    publish: function(event) {
+      listeners.notify(event);
+    },
+
+    subscribe: function(listener) {
+      if (typeof listener !== 'function') {
+        throw 'Invalid parameter: listener';
+      }
+
+      listeners.add(listener);
+    }
+  };
+};
+
+// an adapter which delivers events to every worker in a Node.js cluster
+// the primary process must call relayClusterEvents() so the workers can hear each other
+exports.cluster = function(channel) {
+  if (channel === undefined) {
+    channel = 'socket.js';
+  }
+
+  if (typeof channel !== 'string') {
+    throw 'Invalid parameter: channel';
+  }
+
+  var listeners = makeListeners();
+
+  // events published by other workers are relayed to us by the primary process
+  process.on('message', function(data) {
+    if (data !== null && typeof data === 'object' && data.socketjsChannel === channel) {
+      // events which can't be unpacked (e.g., from a different version of socket.js) are ignored,
+      // since throwing here would take down the worker
+      var message;
+      try {
+        message = unpackMessage(data.event.message, data.attachments);
+      } catch (e) {
+        return;
+      }
+      listeners.notify({
+        room: data.event.room,
+        messageType: data.event.messageType,
+        message: message
+      });
+    }
+  });
+
+  return {
+    publish: function(event) {
+      // deliver the event in this process immediately, and ask the primary to deliver it elsewhere
+      listeners.notify(event);
+      if (typeof process.send === 'function') {
+        var packed = packMessage(event.message);
+        process.send({
+          socketjsChannel: channel,
+          event: {
+            room: event.room,
+            messageType: event.messageType,
+            message: packed.json
+          },
+          attachments: packed.attachments
+        });
+      }
+    },
+
+    subscribe: function(listener) {
+      if (typeof listener !== 'function') {
+        throw 'Invalid parameter: listener';
+      }
+
+      listeners.add(listener);
+    }
+  };
+};
+
+// call this in the primary process to forward events from each worker to all the others
+exports.relayClusterEvents = function() {
+  if (!cluster.isMaster) {
+    throw 'Cluster events can only be relayed by the primary process';
+  }
+
+  cluster.on('message', function(sender, data) {
+    if (data !== null && typeof data === 'object' && typeof data.socketjsChannel === 'string') {
+      for (var id in cluster.workers) {
+        if (cluster.workers.hasOwnProperty(id) && cluster.workers[id] !== sender && cluster.workers[id].isConnected()) {
+          cluster.workers[id].send(data);
+        }
+      }
+    }
+  });
+};
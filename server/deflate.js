@@ -0,0 +1,214 @@
+'use strict';
+
+var zlib = require('zlib');
+
+// the compressed data for each message ends with these bytes, which are left off the wire (RFC 7692)
+var TRAILER = new Buffer([0x00, 0x00, 0xff, 0xff]);
+
+// the largest window that DEFLATE supports
+var MAX_WINDOW_BITS = 15;
+
+// keep only the last few bytes of some data
+function lastBytes(data, length) {
+  return data.length > length ? data.slice(data.length - length) : data;
+}
+
+// parse a window size parameter, or return null if it's invalid
+function parseWindowBits(value) {
+  if (typeof value !== 'string' || !/^[0-9]{1,2}$/.test(value)) {
+    return null;
+  }
+  var bits = parseInt(value, 10);
+  return bits >= 8 && bits <= MAX_WINDOW_BITS ? bits : null;
+}
+
+// parse a Sec-WebSocket-Extensions header into a list of { name, params } objects
+// params is null if the offer is malformed (e.g., if it has duplicate parameters)
+function parseExtensions(header) {
+  var offers = [];
+  var extensions = header.split(',');
+  for (var i = 0; i < extensions.length; i += 1) {
+    var parts = extensions[i].split(';');
+    var params = {};
+    for (var j = 1; j < parts.length && params !== null; j += 1) {
+      var param = parts[j].split('=');
+      var key = param[0].trim();
+      var value = param.length > 1 ? param.slice(1).join('=').trim().replace(/^"(.*)"$/, '$1') : true;
+      params = params.hasOwnProperty(key) ? null : params;
+      if (params !== null) {
+        params[key] = value;
+      }
+    }
+    offers.push({
+      name: parts[0].trim(),
+      params: params
+    });
+  }
+  return offers;
+}
+
+// try to accept a permessage-deflate offer, returning null if the parameters are unacceptable
+function accept(params, settings) {
+  var serverNoContextTakeover = settings.serverNoContextTakeover;
+  var clientNoContextTakeover = settings.clientNoContextTakeover;
+  var serverWindowBits = settings.serverMaxWindowBits;
+  var serverWindowBitsRequested = false;
+  var clientWindowBits = null;
+
+  for (var key in params) {
+    if (params.hasOwnProperty(key)) {
+      var value = params[key];
+      if (key === 'server_no_context_takeover' && value === true) {
+        serverNoContextTakeover = true;
+      } else if (key === 'client_no_context_takeover' && value === true) {
+        clientNoContextTakeover = true;
+      } else if (key === 'server_max_window_bits' && parseWindowBits(value) !== null) {
+        serverWindowBits = Math.min(serverWindowBits, parseWindowBits(value));
+        serverWindowBitsRequested = true;
+      } else if (key === 'client_max_window_bits' && (value === true || parseWindowBits(value) !== null)) {
+        // the client lets us limit its window size
+        clientWindowBits = Math.min(settings.clientMaxWindowBits, value === true ? MAX_WINDOW_BITS : parseWindowBits(value));
+      } else {
+        return null;
+      }
+    }
+  }
+
+  // zlib can't compress with an 8-bit window
+  if (serverWindowBits < 9) {
+    return null;
+  }
+
+  var response = 'permessage-deflate';
+  if (serverNoContextTakeover) {
+    response += '; server_no_context_takeover';
+  }
+  if (clientNoContextTakeover) {
+    response += '; client_no_context_takeover';
+  }
+  if (serverWindowBitsRequested || serverWindowBits < MAX_WINDOW_BITS) {
+    response += '; server_max_window_bits=' + serverWindowBits;
+  }
+  if (clientWindowBits !== null && clientWindowBits < MAX_WINDOW_BITS) {
+    response += '; client_max_window_bits=' + clientWindowBits;
+  }
+
+  // with context takeover, each message can refer back to the data in previous messages
+  // we get the same effect by using the most recent data as the dictionary for the next message
+  var deflateWindow = new Buffer(0);
+  var inflateWindow = new Buffer(0);
+
+  return {
+    // the value of the Sec-WebSocket-Extensions header to send back to the client
+    header: response,
+
+    // messages smaller than this aren't worth compressing
+    threshold: settings.threshold,
+
+    // compress the payload of a message
+    compress: function(data) {
+      var input = typeof data === 'string' ? new Buffer(data) : data;
+      var zlibOptions = {
+        windowBits: serverWindowBits,
+        finishFlush: zlib.Z_SYNC_FLUSH
+      };
+      if (!serverNoContextTakeover && deflateWindow.length > 0) {
+        zlibOptions.dictionary = deflateWindow;
+      }
+
+      var output = zlib.deflateRawSync(input, zlibOptions);
+      if (!serverNoContextTakeover) {
+        deflateWindow = lastBytes(Buffer.concat([deflateWindow, input]), 1 << serverWindowBits);
+      }
+      return output.slice(0, output.length - TRAILER.length);
+    },
+
+    // decompress the payload of a message
+    // this throws if the data is malformed, or if it decompresses to more than maxLength bytes
+    decompress: function(data, maxLength) {
+      var zlibOptions = {
+        windowBits: MAX_WINDOW_BITS,
+        finishFlush: zlib.Z_SYNC_FLUSH,
+        maxOutputLength: maxLength
+      };
+      if (!clientNoContextTakeover && inflateWindow.length > 0) {
+        zlibOptions.dictionary = inflateWindow;
+      }
+
+      var output = zlib.inflateRawSync(Buffer.concat([data, TRAILER]), zlibOptions);
+      if (!clientNoContextTakeover) {
+        inflateWindow = lastBytes(Buffer.concat([inflateWindow, output]), 1 << MAX_WINDOW_BITS);
+      }
+      return output;
+    }
+  };
+}
+
+// validate the perMessageDeflate option and fill in the defaults
+// returns null if compression is disabled
+exports.settings = function(option) {
+  if (option === undefined || option === false) {
+    return null;
+  }
+
+  if (option === true) {
+    option = {};
+  }
+
+  if (option === null || typeof option !== 'object') {
+    throw 'Invalid parameter: options.perMessageDeflate';
+  }
+
+  var settings = {
+    threshold: option.threshold === undefined ? 1024 : option.threshold,
+    serverNoContextTakeover: option.serverNoContextTakeover === undefined ? false : option.serverNoContextTakeover,
+    clientNoContextTakeover: option.clientNoContextTakeover === undefined ? false : option.clientNoContextTakeover,
+    serverMaxWindowBits: option.serverMaxWindowBits === undefined ? MAX_WINDOW_BITS : option.serverMaxWindowBits,
+    clientMaxWindowBits: option.clientMaxWindowBits === undefined ? MAX_WINDOW_BITS : option.clientMaxWindowBits
+  };
+
+  if (typeof settings.threshold !== 'number' || !(settings.threshold >= 0)) {
+    throw 'Invalid parameter: options.perMessageDeflate.threshold';
+  }
+
+  if (typeof settings.serverNoContextTakeover !== 'boolean') {
+    throw 'Invalid parameter: options.perMessageDeflate.serverNoContextTakeover';
+  }
+
+  if (typeof settings.clientNoContextTakeover !== 'boolean') {
+    throw 'Invalid parameter: options.perMessageDeflate.clientNoContextTakeover';
+  }
+
+  // zlib can't compress with an 8-bit window, even though the RFC allows it
+  if (typeof settings.serverMaxWindowBits !== 'number' || settings.serverMaxWindowBits % 1 !== 0 ||
+      settings.serverMaxWindowBits < 9 || settings.serverMaxWindowBits > MAX_WINDOW_BITS) {
+    throw 'Invalid parameter: options.perMessageDeflate.serverMaxWindowBits';
+  }
+
+  if (typeof settings.clientMaxWindowBits !== 'number' || settings.clientMaxWindowBits % 1 !== 0 ||
+      settings.clientMaxWindowBits < 8 || settings.clientMaxWindowBits > MAX_WINDOW_BITS) {
+    throw 'Invalid parameter: options.perMessageDeflate.clientMaxWindowBits';
+  }
+
+  return settings;
+};
+
+// pick the first permessage-deflate offer from the client that we can accept
+// returns null if compression won't be used for this connection
+// otherwise returns an object with the response header and methods for compressing and decompressing messages
+exports.negotiate = function(header, settings) {
+  if (settings === null || typeof header !== 'string') {
+    return null;
+  }
+
+  var offers = parseExtensions(header);
+  for (var i = 0; i < offers.length; i += 1) {
+    if (offers[i].name === 'permessage-deflate' && offers[i].params !== null) {
+      var extension = accept(offers[i].params, settings);
+      if (extension !== null) {
+        return extension;
+      }
+    }
+  }
+  return null;
+};
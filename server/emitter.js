@@ -0,0 +1,136 @@
+'use strict';
+
+// sockets let any number of listeners subscribe to each event with on/off/once,
+// in addition to the single handler each of the older methods (e.g., close(handler)) registers
+
+// make an emitter for a fixed set of event names
+exports.create = function(names) {
+  // the listeners for each event, in the order they were added
+  var listeners = {};
+  names.forEach(function(name) {
+    listeners[name] = [];
+  });
+
+  // make sure an event and a listener are valid
+  var check = function(name, listener) {
+    if (typeof name !== 'string' || !listeners.hasOwnProperty(name)) {
+      throw 'Invalid parameter: event';
+    }
+
+    if (typeof listener !== 'function') {
+      throw 'Invalid parameter: listener';
+    }
+  };
+
+  var add = function(name, listener, once) {
+    check(name, listener);
+    listeners[name].push({
+      listener: listener,
+      once: once
+    });
+  };
+
+  return {
+    // add a listener for an event
+    on: function(name, listener) {
+      add(name, listener, false);
+    },
+
+    // add a listener which is removed after the next time the event happens
+    once: function(name, listener) {
+      add(name, listener, true);
+    },
+
+    // remove a listener (if it was added more than once, only the first one is removed)
+    off: function(name, listener) {
+      check(name, listener);
+      for (var i = 0; i < listeners[name].length; i += 1) {
+        if (listeners[name][i].listener === listener) {
+          listeners[name].splice(i, 1);
+          return;
+        }
+      }
+    },
+
+    // call the listeners for an event with the rest of the arguments
+    // listeners added or removed along the way don't affect this round
+    emit: function(name) {
+      var args = Array.prototype.slice.call(arguments, 1);
+      listeners[name].slice().forEach(function(entry) {
+        if (entry.once) {
+          var index = listeners[name].indexOf(entry);
+          if (index === -1) {
+            return;
+          }
+          listeners[name].splice(index, 1);
+        }
+        entry.listener.apply(null, args);
+      });
+    }
+  };
+};
+
+// make an async iterator over the messages of one type, based on an emitter's 'message' and 'close' events
+// messages are buffered until they are asked for, and the iterator finishes once the socket is closed
+exports.messages = function(emitter, type, closed) {
+  var buffered = [];
+  var waiting = [];
+  var done = closed;
+
+  var onMessage = function(messageType, message) {
+    if (messageType !== type) {
+      return;
+    }
+    if (waiting.length > 0) {
+      waiting.shift()({ value: message, done: false });
+    } else {
+      buffered.push(message);
+    }
+  };
+
+  // stop listening, and let anyone still waiting know there's nothing more to come
+  var finish = function() {
+    if (!done) {
+      done = true;
+      emitter.off('message', onMessage);
+      emitter.off('close', finish);
+      while (waiting.length > 0) {
+        waiting.shift()({ value: undefined, done: true });
+      }
+    }
+  };
+
+  if (!done) {
+    emitter.on('message', onMessage);
+    emitter.on('close', finish);
+  }
+
+  var iterator = {
+    // get the next message, once there is one
+    next: function() {
+      if (buffered.length > 0) {
+        return Promise.resolve({ value: buffered.shift(), done: false });
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise(function(resolve) {
+        waiting.push(resolve);
+      });
+    },
+
+    // stop iterating early (e.g., when a for await loop is exited with break)
+    return: function() {
+      buffered = [];
+      finish();
+      return Promise.resolve({ value: undefined, done: true });
+    }
+  };
+
+  // the iterator is its own iterable, so it works with for await
+  iterator[Symbol.asyncIterator] = function() {
+    return iterator;
+  };
+
+  return iterator;
+};
@@ -0,0 +1,208 @@
+'use strict';
+
+var crypto = require('crypto');
+
+// a WebSocket frame (RFC 6455) starts with a header containing:
+// - the FIN bit, which is set on the last frame of a message
+// - the RSV1-3 bits, which are reserved for extensions (e.g., RSV1 marks a compressed message)
+// - the opcode: 0 for a continuation, 1 for text, 2 for binary, 8 for close, 9 for ping, or 10 for pong
+// - the mask bit, which is set on every frame sent by a client
+// - the payload length, in a funky variable-width encoding (7 bits, 16 bits, or 64 bits)
+// - the masking key, if the frame is masked
+// the rest of the frame is the payload
+
+// 64-bit lengths are written as two 32-bit halves
+var TWO_TO_THE_32 = 4294967296;
+
+// convert a payload to bytes
+// strings are encoded as UTF-8, so their length in bytes can differ from their length in characters
+function toBuffer(payload) {
+  return typeof payload === 'string' ? new Buffer(payload) : payload;
+}
+
+// encode a single frame
+// payload is a string or a buffer, and options is an optional object with the following properties:
+// - fin: whether this is the last frame of a message (defaults to true)
+// - rsv1: whether to set the RSV1 bit (defaults to false)
+// - mask: whether to mask the payload with a random key, as clients have to (defaults to false)
+exports.encode = function(opcode, payload, options) {
+  if (options === undefined) {
+    options = {};
+  }
+
+  var data = toBuffer(payload);
+  var lengthBytes = data.length < 126 ? 0 : (data.length < 65536 ? 2 : 8);
+  var maskBytes = options.mask ? 4 : 0;
+  var frame = new Buffer(2 + lengthBytes + maskBytes + data.length);
+
+  // FIN, RSV1-3, and opcode
+  frame.writeUInt8((options.fin === false ? 0 : 128) | (options.rsv1 ? 64 : 0) | opcode, 0);
+
+  // the mask bit and the payload length
+  var maskBit = options.mask ? 128 : 0;
+  if (lengthBytes === 0) {
+    frame.writeUInt8(maskBit | data.length, 1);
+  } else if (lengthBytes === 2) {
+    frame.writeUInt8(maskBit | 126, 1);
+    frame.writeUInt16BE(data.length, 2);
+  } else {
+    frame.writeUInt8(maskBit | 127, 1);
+    frame.writeUInt32BE(Math.floor(data.length / TWO_TO_THE_32), 2);
+    frame.writeUInt32BE(data.length % TWO_TO_THE_32, 6);
+  }
+
+  // the masking key and the payload
+  var offset = 2 + lengthBytes;
+  if (options.mask) {
+    var maskingKey = crypto.randomBytes(4);
+    maskingKey.copy(frame, offset);
+    offset += 4;
+    for (var i = 0; i < data.length; i += 1) {
+      frame[offset + i] = data[i] ^ maskingKey[i % 4];
+    }
+  } else {
+    data.copy(frame, offset);
+  }
+
+  return frame;
+};
+
+// encode a whole message, split into fragments with payloads of at most options.fragmentSize bytes each
+// only the first fragment has the opcode (and the RSV1 bit, if options.rsv1 is set), and only the last has FIN set
+// the other options are the same as for encode, and fragmentSize defaults to Infinity (i.e., a single frame)
+exports.encodeMessage = function(opcode, payload, options) {
+  if (options === undefined) {
+    options = {};
+  }
+
+  var data = toBuffer(payload);
+  var fragmentSize = options.fragmentSize === undefined ? Infinity : options.fragmentSize;
+  var frames = [];
+  var offset = 0;
+  do {
+    var end = Math.min(data.length, offset + fragmentSize);
+    frames.push(exports.encode(offset === 0 ? opcode : 0, data.slice(offset, end), {
+      fin: end === data.length,
+      rsv1: offset === 0 && options.rsv1 === true,
+      mask: options.mask
+    }));
+    offset = end;
+  } while (offset < data.length);
+
+  return frames.length === 1 ? frames[0] : Buffer.concat(frames);
+};
+
+// make a streaming decoder, which can be given data as it arrives and calls back with each complete frame
+// onHeader(header) is called as soon as the header of a frame has been read, before waiting for its payload,
+// so the caller can reject the frame (e.g., because it's too big) without buffering it
+// header has fin, rsv1, rsv2, rsv3, opcode, masked, and payloadLength
+// onFrame(header, payload) is called once the whole frame has arrived, with the payload unmasked
+// control frames can arrive between the fragments of a message, so putting messages together is up to the caller
+exports.decoder = function(onHeader, onFrame) {
+  var dataReceived = new Buffer(0);
+  var header = null;
+  var headerLength = 0;
+  var maskingKey = null;
+  var stopped = false;
+
+  // try to read the header of the next frame
+  // returns null if we don't have all of it yet
+  var readHeader = function() {
+    if (dataReceived.length < 2) {
+      return null;
+    }
+
+    var firstByte = dataReceived.readUInt8(0);
+    var secondByte = dataReceived.readUInt8(1);
+    var masked = (secondByte >> 7) === 1;
+
+    var payloadLength = secondByte & 127;
+    headerLength = 2;
+    if (payloadLength === 126) {
+      if (dataReceived.length < 4) {
+        return null;
+      }
+      payloadLength = dataReceived.readUInt16BE(2);
+      headerLength = 4;
+    } else if (payloadLength === 127) {
+      if (dataReceived.length < 10) {
+        return null;
+      }
+      payloadLength = dataReceived.readUInt32BE(2) * TWO_TO_THE_32 + dataReceived.readUInt32BE(6);
+      headerLength = 10;
+    }
+
+    maskingKey = null;
+    if (masked) {
+      if (dataReceived.length < headerLength + 4) {
+        return null;
+      }
+      maskingKey = dataReceived.slice(headerLength, headerLength + 4);
+      headerLength += 4;
+    }
+
+    return {
+      fin: (firstByte >> 7) === 1,
+      rsv1: ((firstByte >> 6) & 1) === 1,
+      rsv2: ((firstByte >> 5) & 1) === 1,
+      rsv3: ((firstByte >> 4) & 1) === 1,
+      opcode: firstByte & 15,
+      masked: masked,
+      payloadLength: payloadLength
+    };
+  };
+
+  return {
+    // decode as many frames as possible
+    write: function(data) {
+      if (stopped) {
+        return;
+      }
+
+      // collect all the unprocessed data received so far
+      dataReceived = dataReceived.length === 0 ? data : Buffer.concat([dataReceived, data], dataReceived.length + data.length);
+
+      // eat as much data as possible, one frame at a time
+      while (!stopped) {
+        if (header === null) {
+          header = readHeader();
+          if (header === null) {
+            return;
+          }
+          onHeader(header);
+          if (stopped) {
+            return;
+          }
+        }
+
+        // check if we got the whole frame yet
+        if (dataReceived.length < headerLength + header.payloadLength) {
+          return;
+        }
+
+        // copy the payload, unmasking it if necessary
+        var payload = new Buffer(header.payloadLength);
+        dataReceived.copy(payload, 0, headerLength, headerLength + header.payloadLength);
+        if (maskingKey !== null) {
+          for (var i = 0; i < payload.length; i += 1) {
+            payload[i] = payload[i] ^ maskingKey[i % 4];
+          }
+        }
+
+        // free the data for this frame
+        dataReceived = dataReceived.slice(headerLength + header.payloadLength);
+        var frameHeader = header;
+        header = null;
+
+        onFrame(frameHeader, payload);
+      }
+    },
+
+    // stop decoding and forget any unprocessed data
+    stop: function() {
+      stopped = true;
+      dataReceived = new Buffer(0);
+      header = null;
+    }
+  };
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+// the server counts what it's doing, so the application can keep an eye on it
+// the counts can also be exported in the Prometheus text format (https://prometheus.io/docs/instrumenting/exposition_formats/)
+// by a request handler the application mounts on its HTTP server
+
+// every statistic, with the name, type, and help text it's exported with
+var METRICS = [
+  {
+    key: 'connections',
+    name: 'socketjs_connections',
+    type: 'gauge',
+    help: 'Open WebSocket connections.'
+  },
+  {
+    key: 'connectionsTotal',
+    name: 'socketjs_connections_total',
+    type: 'counter',
+    help: 'WebSocket connections accepted.'
+  },
+  {
+    key: 'reconnects',
+    name: 'socketjs_reconnects_total',
+    type: 'counter',
+    help: 'Clients which reconnected after a network interruption.'
+  },
+  {
+    key: 'messagesReceived',
+    name: 'socketjs_messages_received_total',
+    type: 'counter',
+    help: 'WebSocket messages received from clients.'
+  },
+  {
+    key: 'messagesSent',
+    name: 'socketjs_messages_sent_total',
+    type: 'counter',
+    help: 'WebSocket messages sent to clients.'
+  },
+  {
+    key: 'bytesReceived',
+    name: 'socketjs_received_bytes_total',
+    type: 'counter',
+    help: 'Bytes of (decompressed) messages received from clients.'
+  },
+  {
+    key: 'bytesSent',
+    name: 'socketjs_sent_bytes_total',
+    type: 'counter',
+    help: 'Bytes of (uncompressed) messages sent to clients.'
+  },
+  {
+    key: 'messagesDropped',
+    name: 'socketjs_messages_dropped_total',
+    type: 'counter',
+    help: 'Messages for clients which were dropped before they could be sent.'
+  },
+  {
+    key: 'parseErrors',
+    name: 'socketjs_parse_errors_total',
+    type: 'counter',
+    help: 'Messages from clients which could not be parsed.'
+  }
+];
+
+// make the counters for a server, which all start at zero
+// the gauges are computed when a snapshot is taken, so they aren't included
+exports.counters = function() {
+  var counters = {};
+  METRICS.forEach(function(metric) {
+    if (metric.type === 'counter') {
+      counters[metric.key] = 0;
+    }
+  });
+  return counters;
+};
+
+// render a snapshot of the statistics in the Prometheus text format
+exports.render = function(stats) {
+  return METRICS.map(function(metric) {
+    return '# HELP ' + metric.name + ' ' + metric.help + '\n' +
+      '# TYPE ' + metric.name + ' ' + metric.type + '\n' +
+      metric.name + ' ' + stats[metric.key] + '\n';
+  }).join('');
+};
+
+// make a request handler which answers with the statistics, so the application can mount it wherever it likes
+exports.handler = function(stats) {
+  return function(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Allow': 'GET, HEAD' });
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(req.method === 'HEAD' ? undefined : exports.render(stats()));
+  };
+};
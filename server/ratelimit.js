@@ -0,0 +1,159 @@
+'use strict';
+
+// rate limits are enforced with token buckets
+// each bucket holds up to a second's worth of tokens, and refills continuously at its rate
+// a message takes one token from each message bucket and one token per byte from each byte bucket
+
+// read a rate (per second) from an object of limits, which is Infinity if it isn't provided
+function rateOption(limits, name, path) {
+  if (limits[name] === undefined) {
+    return Infinity;
+  }
+  if (typeof limits[name] !== 'number' || !(limits[name] > 0)) {
+    throw 'Invalid parameter: ' + path + '.' + name;
+  }
+  return limits[name];
+}
+
+// validate the rateLimit option and fill in the defaults
+// returns null if rate limiting is disabled
+exports.settings = function(option) {
+  if (option === undefined) {
+    return null;
+  }
+
+  if (option === null || typeof option !== 'object') {
+    throw 'Invalid parameter: options.rateLimit';
+  }
+
+  var settings = {
+    messages: rateOption(option, 'messages', 'options.rateLimit'),
+    bytes: rateOption(option, 'bytes', 'options.rateLimit'),
+    types: {},
+    action: option.action === undefined ? 'drop' : option.action
+  };
+
+  if (settings.action !== 'drop' && settings.action !== 'delay' && settings.action !== 'disconnect') {
+    throw 'Invalid parameter: options.rateLimit.action';
+  }
+
+  if (option.types !== undefined) {
+    if (option.types === null || typeof option.types !== 'object') {
+      throw 'Invalid parameter: options.rateLimit.types';
+    }
+    for (var type in option.types) {
+      if (option.types.hasOwnProperty(type)) {
+        var limits = option.types[type];
+        var path = 'options.rateLimit.types.' + type;
+        if (limits === null || typeof limits !== 'object') {
+          throw 'Invalid parameter: ' + path;
+        }
+        settings.types[type] = {
+          messages: rateOption(limits, 'messages', path),
+          bytes: rateOption(limits, 'bytes', path)
+        };
+      }
+    }
+  }
+
+  return settings;
+};
+
+// make a token bucket which refills at rate tokens per second, up to capacity tokens
+// it starts out full
+exports.bucket = function(rate, capacity) {
+  var tokens = capacity;
+  var updated = Date.now();
+
+  // add the tokens which have trickled in since the last time we looked
+  var refill = function() {
+    var now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - updated) * rate / 1000);
+    updated = now;
+  };
+
+  return {
+    // how many milliseconds until amount tokens are available (0 if they are available now)
+    // anything bigger than the bucket only has to wait until the bucket is full
+    wait: function(amount) {
+      refill();
+      var needed = Math.min(amount, capacity);
+      return tokens >= needed ? 0 : Math.ceil((needed - tokens) * 1000 / rate);
+    },
+
+    // take some tokens out of the bucket
+    // this can leave the bucket in debt, which has to be paid off before anything else gets through
+    take: function(amount) {
+      refill();
+      tokens -= amount;
+    },
+
+    // check if the bucket has refilled completely, so forgetting it wouldn't make a difference
+    full: function() {
+      refill();
+      return tokens >= capacity;
+    }
+  };
+};
+
+// make the buckets for one connection
+// messages with a type (i.e., messages and requests) also go through the buckets for their type, if it has limits
+exports.limiter = function(settings) {
+  var makeBuckets = function(limits) {
+    var buckets = [];
+    if (limits.messages !== Infinity) {
+      buckets.push({
+        limit: 'messages',
+        bucket: exports.bucket(limits.messages, limits.messages)
+      });
+    }
+    if (limits.bytes !== Infinity) {
+      buckets.push({
+        limit: 'bytes',
+        bucket: exports.bucket(limits.bytes, limits.bytes)
+      });
+    }
+    return buckets;
+  };
+
+  var connectionBuckets = makeBuckets(settings);
+
+  // the buckets for each message type are made the first time a message of that type arrives
+  var typeBuckets = {};
+
+  // the buckets a message has to go through
+  var bucketsFor = function(type) {
+    if (type === null || !settings.types.hasOwnProperty(type)) {
+      return connectionBuckets;
+    }
+    if (!typeBuckets.hasOwnProperty(type)) {
+      typeBuckets[type] = makeBuckets(settings.types[type]);
+    }
+    return connectionBuckets.concat(typeBuckets[type]);
+  };
+
+  return {
+    // check whether a message can go through now
+    // returns null if it can, or the limit it exceeds ('messages' or 'bytes') and how many milliseconds until it can
+    check: function(type, bytes) {
+      var result = null;
+      bucketsFor(type).forEach(function(entry) {
+        var wait = entry.bucket.wait(entry.limit === 'messages' ? 1 : bytes);
+        if (wait > 0 && (result === null || wait > result.wait)) {
+          result = {
+            limit: entry.limit,
+            wait: wait
+          };
+        }
+      });
+      return result;
+    },
+
+    // let a message through, taking its tokens from the buckets
+    take: function(type, bytes) {
+      bucketsFor(type).forEach(function(entry) {
+        entry.bucket.take(entry.limit === 'messages' ? 1 : bytes);
+      });
+    }
+  };
+};
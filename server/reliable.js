@@ -0,0 +1,179 @@
+'use strict';
+
+var crypto = require('crypto');
+
+// in reliable mode, each message sent with send() carries a sequence number
+// the other side acknowledges the highest sequence number it has received, and ignores any it has already seen
+// unacknowledged messages are kept around so they can be replayed if the client reconnects
+
+// validate the reliable option and fill in the defaults
+// returns null if reliable mode is disabled
+exports.settings = function(option) {
+  if (option === undefined || option === false) {
+    return null;
+  }
+
+  if (option === true) {
+    option = {};
+  }
+
+  if (option === null || typeof option !== 'object') {
+    throw 'Invalid parameter: options.reliable';
+  }
+
+  var settings = {
+    ttl: option.ttl === undefined ? 30000 : option.ttl,
+    bufferSize: option.bufferSize === undefined ? 1000 : option.bufferSize
+  };
+
+  if (typeof settings.ttl !== 'number' || !(settings.ttl >= 0)) {
+    throw 'Invalid parameter: options.reliable.ttl';
+  }
+
+  if (typeof settings.bufferSize !== 'number' || settings.bufferSize % 1 !== 0 || !(settings.bufferSize >= 1)) {
+    throw 'Invalid parameter: options.reliable.bufferSize';
+  }
+
+  return settings;
+};
+
+// keeps track of the streams of messages to and from each client
+exports.registry = function(settings) {
+  // the streams for clients which are connected, keyed by stream id
+  // each one comes with a function which closes the connection it's attached to
+  var attachedStreams = {};
+
+  // the streams for clients which are temporarily disconnected, keyed by stream id
+  var detachedStreams = {};
+
+  // make a new stream
+  var createStream = function() {
+    // the next sequence number to use, and the highest one we've received
+    var nextSeq = 1;
+    var received = 0;
+
+    // messages which haven't been acknowledged yet, in order
+    var unacknowledged = [];
+
+    return {
+      // a unique identifier the client uses to resume the stream
+      id: crypto.randomBytes(16).toString('hex'),
+
+      // the highest sequence number we've received
+      received: function() {
+        return received;
+      },
+
+      // give an outgoing message a sequence number and hold on to it until it's acknowledged
+      sequence: function(envelope) {
+        envelope.seq = nextSeq;
+        nextSeq += 1;
+        unacknowledged.push(envelope);
+        return envelope;
+      },
+
+      // check if we're holding on to more messages than we should
+      // the messages are never dropped, so the connection has to be closed instead
+      overflowed: function() {
+        return unacknowledged.length > settings.bufferSize;
+      },
+
+      // the client has received every message up to and including seq
+      acknowledge: function(seq) {
+        while (unacknowledged.length > 0 && unacknowledged[0].seq <= seq) {
+          unacknowledged.shift();
+        }
+      },
+
+      // check if an incoming message is new, and remember that we've received it
+      // messages can only be lost, never reordered, so anything newer than the last one is fine
+      accept: function(seq) {
+        if (seq <= received) {
+          return false;
+        }
+        received = seq;
+        return true;
+      },
+
+      // the messages to replay after the client reconnects
+      unacknowledged: function() {
+        return unacknowledged.slice();
+      },
+
+      // throw away the messages we were holding on to
+      clear: function() {
+        unacknowledged = [];
+      }
+    };
+  };
+
+  // remember which connection a stream is attached to
+  var attach = function(stream, evict) {
+    attachedStreams[stream.id] = {
+      stream: stream,
+      evict: evict
+    };
+    return stream;
+  };
+
+  return {
+    // start a new stream for a client which is connecting for the first time
+    // evict is called to close the connection if the client resumes the stream on another one
+    create: function(evict) {
+      return attach(createStream(), evict);
+    },
+
+    // pick up where we left off with a client which is reconnecting
+    // if the stream doesn't exist (e.g., because it expired), a new one is created
+    resume: function(id, evict) {
+      var stream;
+      if (typeof id === 'string' && attachedStreams.hasOwnProperty(id)) {
+        // the client reconnected before we noticed that its old connection was lost, so that connection has to go
+        var attached = attachedStreams[id];
+        delete attachedStreams[id];
+        attached.evict();
+        stream = attached.stream;
+      } else if (typeof id === 'string' && detachedStreams.hasOwnProperty(id)) {
+        var detached = detachedStreams[id];
+        delete detachedStreams[id];
+        clearTimeout(detached.timer);
+        stream = detached.stream;
+      } else {
+        stream = createStream();
+      }
+
+      return attach(stream, evict);
+    },
+
+    // the client is gone for good, so the stream isn't needed anymore
+    release: function(stream) {
+      delete attachedStreams[stream.id];
+    },
+
+    // the client was disconnected, so keep the stream around for a while in case it comes back
+    detach: function(stream) {
+      delete attachedStreams[stream.id];
+      detachedStreams[stream.id] = {
+        stream: stream,
+        timer: setTimeout(function() {
+          delete detachedStreams[stream.id];
+          stream.clear();
+        }, settings.ttl)
+      };
+
+      // streams waiting for their clients shouldn't keep the process running after the server is closed
+      detachedStreams[stream.id].timer.unref();
+    },
+
+    // forget every stream which is waiting for its client to come back (e.g., when the server shuts down)
+    clear: function() {
+      for (var id in detachedStreams) {
+        if (detachedStreams.hasOwnProperty(id)) {
+          clearTimeout(detachedStreams[id].timer);
+          detachedStreams[id].stream.clear();
+        }
+      }
+      detachedStreams = {};
+    }
+  };
+};
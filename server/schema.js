@@ -0,0 +1,262 @@
+'use strict';
+
+// a small subset of JSON Schema (https://json-schema.org) for validating messages
+// the supported keywords are:
+// - type (a string or an array of strings), enum, const, and anyOf
+// - minimum, maximum, exclusiveMinimum, and exclusiveMaximum for numbers
+// - minLength, maxLength, and pattern for strings
+// - items, minItems, and maxItems for arrays
+// - properties, required, and additionalProperties for objects
+// in addition to the JSON types, the type 'binary' matches binary data (buffers, array buffers, and typed arrays)
+// true and false are also schemas, which match anything and nothing, respectively
+
+var TYPES = ['null', 'boolean', 'number', 'integer', 'string', 'array', 'object', 'binary'];
+
+// check if a value is binary data
+function isBinary(x) {
+  return Buffer.isBuffer(x) || x instanceof ArrayBuffer || ArrayBuffer.isView(x);
+}
+
+// check if a value is a plain object (as opposed to an array or binary data)
+function isObject(x) {
+  return x !== null && typeof x === 'object' && !Array.isArray(x) && !isBinary(x);
+}
+
+// check if an object has a property of its own
+// messages come from clients, so they might have a property called hasOwnProperty
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// check if a value is a non-negative integer
+function isCount(x) {
+  return typeof x === 'number' && x >= 0 && x % 1 === 0;
+}
+
+// compare two JSON values
+function equal(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length) {
+      return false;
+    }
+    for (var i = 0; i < a.length; i += 1) {
+      if (!equal(a[i], b[i])) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  if (isObject(a) && isObject(b)) {
+    var keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+      return false;
+    }
+    for (var j = 0; j < keys.length; j += 1) {
+      if (!has(b, keys[j]) || !equal(a[keys[j]], b[keys[j]])) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  return a === b;
+}
+
+// check if a value has a type
+function hasType(value, type) {
+  if (type === 'null') {
+    return value === null;
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && isFinite(value);
+  }
+  if (type === 'integer') {
+    return typeof value === 'number' && isFinite(value) && value % 1 === 0;
+  }
+  if (type === 'array') {
+    return Array.isArray(value);
+  }
+  if (type === 'object') {
+    return isObject(value);
+  }
+  if (type === 'binary') {
+    return isBinary(value);
+  }
+  return typeof value === type;
+}
+
+// make sure a schema only uses the keywords we support, and uses them correctly
+function check(schema) {
+  if (schema === true || schema === false) {
+    return;
+  }
+
+  if (!isObject(schema)) {
+    throw 'Invalid parameter: schema';
+  }
+
+  for (var keyword in schema) {
+    if (schema.hasOwnProperty(keyword)) {
+      var value = schema[keyword];
+      var valid;
+      if (keyword === 'type') {
+        var types = Array.isArray(value) ? value : [value];
+        valid = types.length > 0 && types.every(function(type) {
+          return TYPES.indexOf(type) !== -1;
+        });
+      } else if (keyword === 'enum') {
+        valid = Array.isArray(value);
+      } else if (keyword === 'const') {
+        valid = true;
+      } else if (keyword === 'anyOf') {
+        valid = Array.isArray(value) && value.length > 0;
+        if (valid) {
+          value.forEach(check);
+        }
+      } else if (keyword === 'minimum' || keyword === 'maximum' ||
+          keyword === 'exclusiveMinimum' || keyword === 'exclusiveMaximum') {
+        valid = typeof value === 'number';
+      } else if (keyword === 'minLength' || keyword === 'maxLength' ||
+          keyword === 'minItems' || keyword === 'maxItems') {
+        valid = isCount(value);
+      } else if (keyword === 'pattern') {
+        valid = typeof value === 'string';
+        if (valid) {
+          try {
+            new RegExp(value);
+          } catch (e) {
+            valid = false;
+          }
+        }
+      } else if (keyword === 'items' || keyword === 'additionalProperties') {
+        check(value);
+        valid = true;
+      } else if (keyword === 'properties') {
+        valid = isObject(value);
+        if (valid) {
+          for (var property in value) {
+            if (value.hasOwnProperty(property)) {
+              check(value[property]);
+            }
+          }
+        }
+      } else if (keyword === 'required') {
+        valid = Array.isArray(value) && value.every(function(property) {
+          return typeof property === 'string';
+        });
+      } else {
+        // ignore annotations, but nothing else, so a typo doesn't silently turn off validation
+        valid = keyword === 'title' || keyword === 'description' || keyword === '$schema' || keyword === '$comment';
+      }
+
+      if (!valid) {
+        throw 'Invalid parameter: schema.' + keyword;
+      }
+    }
+  }
+}
+
+// check a value against a schema
+// returns null if the value is valid, or the path to the first invalid part of it (e.g., 'message.items[2]')
+function validate(schema, value, path) {
+  if (schema === true) {
+    return null;
+  }
+  if (schema === false) {
+    return path;
+  }
+
+  if (schema.type !== undefined) {
+    var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(function(type) {
+      return hasType(value, type);
+    })) {
+      return path;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some(function(option) {
+    return equal(option, value);
+  })) {
+    return path;
+  }
+
+  if (has(schema, 'const') && !equal(schema.const, value)) {
+    return path;
+  }
+
+  if (schema.anyOf !== undefined && !schema.anyOf.some(function(option) {
+    return validate(option, value, path) === null;
+  })) {
+    return path;
+  }
+
+  if (typeof value === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum) ||
+        (schema.maximum !== undefined && value > schema.maximum) ||
+        (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) ||
+        (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum)) {
+      return path;
+    }
+  }
+
+  if (typeof value === 'string') {
+    // lengths are counted in code points, so characters outside the BMP count once
+    var length = value.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '_').length;
+    if ((schema.minLength !== undefined && length < schema.minLength) ||
+        (schema.maxLength !== undefined && length > schema.maxLength) ||
+        (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))) {
+      return path;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if ((schema.minItems !== undefined && value.length < schema.minItems) ||
+        (schema.maxItems !== undefined && value.length > schema.maxItems)) {
+      return path;
+    }
+    if (schema.items !== undefined) {
+      for (var i = 0; i < value.length; i += 1) {
+        var itemError = validate(schema.items, value[i], path + '[' + i + ']');
+        if (itemError !== null) {
+          return itemError;
+        }
+      }
+    }
+  }
+
+  if (isObject(value)) {
+    var properties = schema.properties === undefined ? {} : schema.properties;
+    if (schema.required !== undefined) {
+      for (var j = 0; j < schema.required.length; j += 1) {
+        if (!has(value, schema.required[j])) {
+          return path + '.' + schema.required[j];
+        }
+      }
+    }
+    for (var key in value) {
+      if (has(value, key)) {
+        var propertySchema = has(properties, key) ? properties[key] : schema.additionalProperties;
+        if (propertySchema !== undefined) {
+          var propertyError = validate(propertySchema, value[key], path + '.' + key);
+          if (propertyError !== null) {
+            return propertyError;
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+// make sure a schema is supported, and return a function for validating messages against it
+// the function returns null if the message is valid, or the path to the first invalid part of it
+exports.compile = function(schema) {
+  check(schema);
+
+  return function(message) {
+    return validate(schema, message, 'message');
+  };
+};
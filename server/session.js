@@ -0,0 +1,127 @@
+'use strict';
+
+var crypto = require('crypto');
+
+// when sessions are enabled, the server gives each new client a session, identified by a signed token
+// the client presents the token when it reconnects, so the server can pick up the session where it left off
+// the session data lives in a store, which keeps it around for a while after the client disconnects
+
+// validate the sessions option and fill in the defaults
+// returns null if sessions are disabled
+exports.settings = function(option) {
+  if (option === undefined || option === false) {
+    return null;
+  }
+
+  if (option === true) {
+    option = {};
+  }
+
+  if (option === null || typeof option !== 'object') {
+    throw 'Invalid parameter: options.sessions';
+  }
+
+  var settings = {
+    // without a shared secret, tokens can only be verified by the process which issued them
+    secret: option.secret === undefined ? crypto.randomBytes(32) : option.secret,
+    ttl: option.ttl === undefined ? 1800000 : option.ttl,
+    store: option.store === undefined ? exports.memoryStore() : option.store
+  };
+
+  if (typeof settings.secret !== 'string' && !Buffer.isBuffer(settings.secret)) {
+    throw 'Invalid parameter: options.sessions.secret';
+  }
+
+  if (typeof settings.ttl !== 'number' || !(settings.ttl > 0)) {
+    throw 'Invalid parameter: options.sessions.ttl';
+  }
+
+  if (!exports.validateStore(settings.store)) {
+    throw 'Invalid parameter: options.sessions.store';
+  }
+
+  return settings;
+};
+
+// make sure a session store has the methods we need
+exports.validateStore = function(store) {
+  return store !== null &&
+    typeof store === 'object' &&
+    typeof store.get === 'function' &&
+    typeof store.set === 'function' &&
+    typeof store.delete === 'function';
+};
+
+// the signature which proves we issued a token for a session id
+function signature(settings, id) {
+  return crypto.createHmac('sha256', settings.secret).update(id).digest('hex');
+}
+
+// make a token for a session id
+exports.sign = function(settings, id) {
+  return id + '.' + signature(settings, id);
+};
+
+// check a token from a client
+// returns the session id if we issued the token, or null otherwise
+exports.verify = function(settings, token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  var parts = token.split('.');
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  // compare the signatures in constant time, so they can't be guessed one character at a time
+  var expected = new Buffer(signature(settings, parts[0]));
+  var actual = new Buffer(parts[1]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return parts[0];
+};
+
+// a session store which keeps the sessions in memory, so they are only available within the current process
+// every store has the same methods, which call back with an error (or null) when they're done:
+// - get(id, callback) calls back with the data for a session, or null if there is no such session (e.g., it expired)
+// - set(id, data, ttl, callback) saves the data for a session, and forgets it after ttl milliseconds
+// - delete(id, callback) forgets a session
+exports.memoryStore = function() {
+  // the data and the expiration timer for each session, keyed by session id
+  var sessions = {};
+
+  var forget = function(id) {
+    if (sessions.hasOwnProperty(id)) {
+      clearTimeout(sessions[id].timer);
+      delete sessions[id];
+    }
+  };
+
+  return {
+    get: function(id, callback) {
+      callback(null, sessions.hasOwnProperty(id) ? sessions[id].data : null);
+    },
+
+    set: function(id, data, ttl, callback) {
+      forget(id);
+      sessions[id] = {
+        data: data,
+        timer: setTimeout(function() {
+          delete sessions[id];
+        }, ttl)
+      };
+
+      // sessions waiting to expire shouldn't keep the process running after the server is closed
+      sessions[id].timer.unref();
+      callback(null);
+    },
+
+    delete: function(id, callback) {
+      forget(id);
+      callback(null);
+    }
+  };
+};
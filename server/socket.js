@@ -1,6 +1,22 @@
 'use strict';
 
 var crypto = require('crypto');
+var http = require('http');
+var url = require('url');
+var adapters = require('./adapter.js');
+var deflate = require('./deflate.js');
+var emitter = require('./emitter.js');
+var frame = require('./frame.js');
+var metrics = require('./metrics.js');
+var ratelimit = require('./ratelimit.js');
+var reliable = require('./reliable.js');
+var schema = require('./schema.js');
+var session = require('./session.js');
+
+// the versions of the socket.js protocol (i.e., the format of the messages) this server speaks
+// clients ask for a version with a subprotocol like socketjs.1, or socketjs.1+chat to ask for an application protocol too
+// clients which don't ask for any subprotocol predate versioning, and speak version 1
+var PROTOCOL_VERSIONS = [1];
 
 // messages are converted to JSON before being sent down the wire
 // this function is used to validate that an object can be converted to JSON
@@ -15,264 +31,2385 @@ function jsonConvertible(x) {
   return true;
 }
 
+// messages can contain binary data (buffers, array buffers, and typed arrays)
+function isBinary(x) {
+  return Buffer.isBuffer(x) || x instanceof ArrayBuffer || ArrayBuffer.isView(x);
+}
+
+// copy binary data into a buffer
+function toBuffer(x) {
+  if (Buffer.isBuffer(x)) {
+    return x;
+  }
+  if (x instanceof ArrayBuffer) {
+    return new Buffer(new Uint8Array(x));
+  }
+  return new Buffer(new Uint8Array(x.buffer, x.byteOffset, x.byteLength));
+}
+
+// keys which start with '#' are reserved for { "#binary": index } in the JSON header of a binary frame,
+// so the application's keys which start with '#' get another '#' in front of them there
+function hasHashKey(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).some(function(key) {
+    return key.charAt(0) === '#';
+  });
+}
+
+// copy an object, renaming the keys which start with '#'
+function renameHashKeys(object, rename) {
+  var renamed = {};
+  Object.keys(object).forEach(function(key) {
+    // define the properties rather than assigning them, so a key like __proto__ doesn't change the prototype
+    Object.defineProperty(renamed, key.charAt(0) === '#' ? rename(key) : key, {
+      value: object[key],
+      enumerable: true,
+      writable: true,
+      configurable: true
+    });
+  });
+  return renamed;
+}
+
+function escapeKey(key) {
+  return '#' + key;
+}
+
+function unescapeKey(key) {
+  return key.slice(1);
+}
+
+// messages without binary data are sent as JSON in a text frame
+// messages with binary data are sent in a binary frame, which contains:
+// - the length of a JSON header, as a 32-bit unsigned integer
+// - the JSON header, in which each piece of binary data is replaced by { "#binary": index } (and keys are escaped)
+// - each piece of binary data, preceded by its length as a 32-bit unsigned integer
+function encodeMessage(message) {
+  var attachments = [];
+  var escaped = false;
+  var json = JSON.stringify(message, function(key, value) {
+    // buffers have a toJSON method, so we have to look at the original value
+    if (isBinary(this[key])) {
+      attachments.push(toBuffer(this[key]));
+      return { '#binary': attachments.length - 1 };
+    }
+    if (hasHashKey(value)) {
+      escaped = true;
+      return renameHashKeys(value, escapeKey);
+    }
+    return value;
+  });
+
+  // text frames are plain JSON, so nothing needs to be escaped
+  if (attachments.length === 0) {
+    return escaped ? JSON.stringify(message) : json;
+  }
+
+  var header = new Buffer(json);
+  var parts = [new Buffer(4), header];
+  parts[0].writeUInt32BE(header.length, 0);
+  for (var i = 0; i < attachments.length; i += 1) {
+    var lengthBuffer = new Buffer(4);
+    lengthBuffer.writeUInt32BE(attachments[i].length, 0);
+    parts.push(lengthBuffer, attachments[i]);
+  }
+  return Buffer.concat(parts);
+}
+
+// the inverse of encodeMessage for binary frames
+// this throws if the data is malformed
+function decodeBinaryMessage(data) {
+  if (data.length < 4 || data.length < 4 + data.readUInt32BE(0)) {
+    throw 'Invalid message';
+  }
+  var headerEnd = 4 + data.readUInt32BE(0);
+  var header = data.slice(4, headerEnd).toString();
+
+  var attachments = [];
+  var nextByteIndex = headerEnd;
+  while (nextByteIndex < data.length) {
+    if (data.length < nextByteIndex + 4 || data.length < nextByteIndex + 4 + data.readUInt32BE(nextByteIndex)) {
+      throw 'Invalid message';
+    }
+    var attachmentLength = data.readUInt32BE(nextByteIndex);
+    attachments.push(data.slice(nextByteIndex + 4, nextByteIndex + 4 + attachmentLength));
+    nextByteIndex += 4 + attachmentLength;
+  }
+
+  return JSON.parse(header, function(key, value) {
+    if (value !== null && typeof value === 'object' && Object.keys(value).length === 1 && hasOwn(value, '#binary')) {
+      if (typeof value['#binary'] !== 'number' || !attachments.hasOwnProperty(value['#binary'])) {
+        throw 'Invalid message';
+      }
+      return attachments[value['#binary']];
+    }
+    if (hasHashKey(value)) {
+      return renameHashKeys(value, unescapeKey);
+    }
+    return value;
+  });
+}
+
+// errors thrown by request handlers are sent back to the other side
+// this function makes sure they can be converted to JSON
+function serializableError(error) {
+  if (error instanceof Error) {
+    return error.message;
+  }
+  if (error === null || !jsonConvertible(error)) {
+    return String(error);
+  }
+  return error;
+}
+
+// read a numeric option, falling back to a default if it isn't provided
+function numberOption(options, name, defaultValue) {
+  if (options[name] === undefined) {
+    return defaultValue;
+  }
+  if (typeof options[name] !== 'number' || !(options[name] >= 0)) {
+    throw 'Invalid parameter: options.' + name;
+  }
+  return options[name];
+}
+
+// refuse a connection upgrade with an HTTP error
+function rejectUpgrade(socket, status, message, headers) {
+  var statusText = http.STATUS_CODES[status] === undefined ? 'Error' : http.STATUS_CODES[status];
+  var body = typeof message === 'string' ? message : statusText;
+  var response = 'HTTP/1.1 ' + status + ' ' + statusText + '\r\n' +
+    'Connection: close\r\n' +
+    'Content-Type: text/plain; charset=utf-8\r\n' +
+    'Content-Length: ' + Buffer.byteLength(body) + '\r\n';
+  for (var name in headers) {
+    if (headers.hasOwnProperty(name)) {
+      response += name + ': ' + headers[name] + '\r\n';
+    }
+  }
+  socket.end(response + '\r\n' + body);
+}
+
+// the value of the Sec-WebSocket-Accept header, which proves to the client that we speak WebSockets
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+}
+
+// pick the first subprotocol the client offered which we support
+// returns the subprotocol (or null if the client didn't offer any), the socket.js version, and the application protocol,
+// or null if we don't support any of the ones the client offered
+function negotiateProtocol(header, appProtocols) {
+  if (header === undefined || header.trim() === '') {
+    return {
+      header: null,
+      version: 1,
+      protocol: null
+    };
+  }
+
+  var offered = header.split(',');
+  for (var i = 0; i < offered.length; i += 1) {
+    var match = /^socketjs\.(\d+)(?:\+(.+))?$/.exec(offered[i].trim());
+    if (match !== null && PROTOCOL_VERSIONS.indexOf(parseInt(match[1], 10)) !== -1 &&
+        (match[2] === undefined || appProtocols.indexOf(match[2]) !== -1)) {
+      return {
+        header: match[0],
+        version: parseInt(match[1], 10),
+        protocol: match[2] === undefined ? null : match[2]
+      };
+    }
+  }
+
+  return null;
+}
+
+// check if some data is valid UTF-8
+// invalid sequences are decoded as replacement characters, so they don't survive the round trip
+function isUtf8(data) {
+  return new Buffer(data.toString()).equals(data);
+}
+
+// check if a close frame from the client has a status code it's allowed to send
+function isValidCloseCode(code) {
+  return (code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1014) || (code >= 3000 && code <= 4999);
+}
+
+// check if an object has a property of its own
+// channel names come from clients, so one might be called hasOwnProperty
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// the name of the channel a message from the client is on, or null if it isn't on a channel
+function channelOf(messageData) {
+  return typeof messageData.channel === 'string' ? messageData.channel : null;
+}
+
+// check if a status code asks the client to reconnect, as it does after a network interruption
+function isTemporaryCloseCode(code) {
+  return code === 1001 || (code >= 1011 && code <= 1014);
+}
+
+// check if a value returned by a request handler is a promise
+function isThenable(x) {
+  return x !== null && (typeof x === 'object' || typeof x === 'function') && typeof x.then === 'function';
+}
+
+// make a pipeline which passes events through a list of middleware functions, one event at a time
+// each function is called with the event and a next callback, and can change the event before calling next()
+// calling next(error) (or throwing) stops the event
+// callback(error) is called once the event gets through (with error === null) or is stopped
+function makePipeline(middleware) {
+  var events = [];
+  var running = false;
+
+  var runNext = function() {
+    if (running || events.length === 0) {
+      return;
+    }
+    running = true;
+
+    var item = events.shift();
+    var index = 0;
+
+    // hand the event over, then move on to the next one
+    var finish = function(error) {
+      try {
+        item.callback(error);
+      } finally {
+        running = false;
+        runNext();
+      }
+    };
+
+    var next = function(error) {
+      if (error !== undefined && error !== null) {
+        finish(error);
+        return;
+      }
+
+      if (index === middleware.length) {
+        finish(null);
+        return;
+      }
+
+      var fn = middleware[index];
+      index += 1;
+
+      // each function only gets to call next once
+      var called = false;
+      try {
+        fn(item.event, function(error) {
+          if (!called) {
+            called = true;
+            next(error);
+          }
+        });
+      } catch (e) {
+        // don't swallow errors thrown further down the line
+        if (called) {
+          throw e;
+        }
+        called = true;
+        finish(e);
+      }
+    };
+
+    next(null);
+  };
+
+  return function(event, callback) {
+    events.push({
+      event: event,
+      callback: callback
+    });
+    runNext();
+  };
+}
+
 // this function registers a callback to receive the connection
-module.exports = function(httpServer, handler) {
-  // this event is fired whenever the client attempts to initiate a connection upgrade
-  httpServer.on('upgrade', function(req, socket, head) {
-    // make sure the upgrade is for the WebSockets protocol
-    if (req.headers['upgrade'].toLowerCase() === 'websocket') {
-      // we only support version 13 of the protocol, which
-      // is the latest at the time of this writing
-      var version = req.headers['sec-websocket-version'];
-      if (version === '13') {
-        // we have to send back this magic to the client to finish the handshake
-        var key = req.headers['sec-websocket-key'];
-        socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
-          'Upgrade: websocket\r\n' +
-          'Connection: Upgrade\r\n' +
-          'Sec-WebSocket-Accept: ' + crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64') + '\r\n' +
-          '\r\n');
-
-        var started = false;
-        var closed = false;
-        var closeHandler = null;
-        var messageHandlers = {};
-        var dataReceived = new Buffer(0);
-        var payloadReceived = new Buffer(0);
+// and returns an object for keeping track of the connected sockets
+module.exports = function(httpServer, options, handler) {
+  // the options are optional
+  if (handler === undefined) {
+    handler = options;
+    options = {};
+  }
+
+  if (options === null || typeof options !== 'object') {
+    throw 'Invalid parameter: options';
+  }
+
+  if (typeof handler !== 'function') {
+    throw 'Invalid parameter: handler';
+  }
+
+  // how often to ping each client, and how long to wait for the pong before giving up on it
+  var pingInterval = numberOption(options, 'pingInterval', 30000);
+  var pingTimeout = numberOption(options, 'pingTimeout', 10000);
+
+  // how long to wait for the client to finish the closing handshake before hanging up on it
+  var closeTimeout = numberOption(options, 'closeTimeout', 5000);
+
+  // the largest frame and the largest message (after decompression) we accept from a client
+  var maxPayload = numberOption(options, 'maxPayload', 16777216);
+  var maxMessageSize = numberOption(options, 'maxMessageSize', 16777216);
+
+  // messages we send can be split into fragments of this many bytes
+  var fragmentSize = numberOption(options, 'fragmentSize', Infinity);
+  if (fragmentSize < 1) {
+    throw 'Invalid parameter: options.fragmentSize';
+  }
+
+  // how many bytes can be waiting to be sent to each client, and what to do with messages that don't fit
+  var maxBufferedAmount = numberOption(options, 'maxBufferedAmount', 16777216);
+  var bufferPolicy = options.bufferPolicy === undefined ? 'disconnect' : options.bufferPolicy;
+  if (bufferPolicy !== 'dropNewest' && bufferPolicy !== 'dropOldest' && bufferPolicy !== 'disconnect') {
+    throw 'Invalid parameter: options.bufferPolicy';
+  }
+
+  // how many messages and bytes each client can send per second, and what to do with messages over the limit
+  var rateLimitSettings = ratelimit.settings(options.rateLimit);
+
+  // how many clients can be connected at once, and how many handshakes each IP address can start per interval
+  var maxConnections = numberOption(options, 'maxConnections', Infinity);
+  var maxHandshakesPerIp = numberOption(options, 'maxHandshakesPerIp', Infinity);
+
+  // how many channels each connection can have open (or waiting for the middleware) at once
+  var maxChannels = numberOption(options, 'maxChannels', 100);
+  var handshakeInterval = numberOption(options, 'handshakeInterval', 60000);
+  if (maxHandshakesPerIp < 1) {
+    throw 'Invalid parameter: options.maxHandshakesPerIp';
+  }
+  if (handshakeInterval === 0) {
+    throw 'Invalid parameter: options.handshakeInterval';
+  }
+
+  // messages can be compressed with the permessage-deflate extension if the client supports it
+  var deflateSettings = deflate.settings(options.perMessageDeflate);
+
+  // in reliable mode, messages are acknowledged and replayed if the client reconnects
+  var reliableSettings = reliable.settings(options.reliable);
+  var streams = reliableSettings === null ? null : reliable.registry(reliableSettings);
+
+  // with sessions, clients get a signed token they present when reconnecting, so the server can resume their session
+  var sessionSettings = session.settings(options.sessions);
+
+  // only handle upgrades for this path (or for paths accepted by this function)
+  // other upgrades are left alone so other listeners can handle them
+  var path = options.path === undefined ? null : options.path;
+  if (path !== null && typeof path !== 'string' && typeof path !== 'function') {
+    throw 'Invalid parameter: options.path';
+  }
+
+  // the application protocols clients can ask for, in addition to a version of the socket.js protocol
+  var appProtocols = options.protocols === undefined ? [] : options.protocols;
+  if (!Array.isArray(appProtocols) || !appProtocols.every(function(protocol) {
+    return typeof protocol === 'string' && /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/.test(protocol);
+  })) {
+    throw 'Invalid parameter: options.protocols';
+  }
+
+  // only accept connections from pages on these origins (or from any origin, if this is null)
+  var allowedOrigins = null;
+  if (options.origins !== undefined) {
+    if (!Array.isArray(options.origins)) {
+      throw 'Invalid parameter: options.origins';
+    }
+    allowedOrigins = options.origins.map(function(origin) {
+      if (typeof origin !== 'string') {
+        throw 'Invalid parameter: options.origins';
+      }
+      return origin.toLowerCase();
+    });
+  }
+
+  // the application can decide whether to accept each connection
+  var verifyClient = options.verifyClient === undefined ? null : options.verifyClient;
+  if (verifyClient !== null && typeof verifyClient !== 'function') {
+    throw 'Invalid parameter: options.verifyClient';
+  }
+
+  // broadcasts and room messages go through the adapter so they can reach other processes
+  var adapter = options.adapter === undefined ? adapters.memory() : options.adapter;
+  if (!adapters.validate(adapter)) {
+    throw 'Invalid parameter: options.adapter';
+  }
+
+  // the application can be notified when a client breaks the rules
+  var errorHandler = null;
+
+  // the application can be notified when a client goes over a rate limit, or a connection is refused because of one
+  var rateLimitHandler = null;
+
+  // the number of connections which are currently open
+  var connectionCount = 0;
+
+  // how many connections, messages, bytes, and so on the server has handled so far
+  var counters = metrics.counters();
+
+  // the application can listen for connections coming and going, messages being dropped, and messages it can't parse
+  var serverEvents = emitter.create(['connect', 'disconnect', 'drop', 'parseError']);
+
+  // every open connection (including the ones which haven't finished connecting), keyed by socket id
+  var connections = {};
+
+  // once the server starts shutting down, it refuses new connections and asks the clients to go away
+  var shuttingDown = false;
+  var shutdownComplete = false;
+  var shutdownRetryAfter = null;
+  var shutdownTimer = null;
+  var shutdownCallbacks = [];
+
+  // the handshake bucket for each IP address which started a handshake recently, keyed by address
+  var handshakeBuckets = {};
+
+  // every connection, inbound message, and outbound message goes through these functions
+  var middleware = [];
+
+  // the compiled schemas for the message types which have one, keyed by message type
+  var schemas = {};
+
+  // check a message against the schema for its type, if there is one
+  // returns null if the message is valid, or the path to the first invalid part of it
+  var validateMessage = function(type, message) {
+    return schemas.hasOwnProperty(type) ? schemas[type](message) : null;
+  };
+
+  // messages we send have to match their schema, so mistakes show up where they're made
+  var checkOutgoingMessage = function(type, message) {
+    var invalidPath = validateMessage(type, message);
+    if (invalidPath !== null) {
+      throw 'Invalid parameter: ' + invalidPath;
+    }
+  };
+
+  // every live socket, keyed by socket id
+  var sockets = {};
+
+  // the sockets in each room, keyed by room name and then by socket id
+  var rooms = {};
+
+  // add a socket to a room
+  var joinRoom = function(room, socket) {
+    if (!rooms.hasOwnProperty(room)) {
+      rooms[room] = {};
+    }
+    rooms[room][socket.id] = socket;
+  };
+
+  // remove a socket from a room, and forget the room once it's empty
+  var leaveRoom = function(room, id) {
+    if (rooms.hasOwnProperty(room)) {
+      delete rooms[room][id];
+      for (var otherId in rooms[room]) {
+        if (rooms[room].hasOwnProperty(otherId)) {
+          return;
+        }
+      }
+      delete rooms[room];
+    }
+  };
+
+  // publish a message for every socket in a room (or every socket, if room is null)
+  var publish = function(room, type, message) {
+    if (typeof type !== 'string') {
+      throw 'Invalid parameter: type';
+    }
+
+    if (!jsonConvertible(message)) {
+      throw 'Invalid parameter: message';
+    }
+
+    checkOutgoingMessage(type, message);
+
+    adapter.publish({
+      room: room,
+      messageType: type,
+      message: message
+    });
+  };
+
+  // count a handshake from an IP address
+  // returns 0 if the handshake is allowed, or how many milliseconds until it would be
+  var takeHandshake = function(address) {
+    if (maxHandshakesPerIp === Infinity) {
+      return 0;
+    }
+
+    if (!handshakeBuckets.hasOwnProperty(address)) {
+      handshakeBuckets[address] = {
+        bucket: ratelimit.bucket(maxHandshakesPerIp * 1000 / handshakeInterval, maxHandshakesPerIp),
+        timer: null
+      };
+    }
+    var entry = handshakeBuckets[address];
+    var wait = entry.bucket.wait(1);
+    if (wait === 0) {
+      entry.bucket.take(1);
+    }
+
+    // once the bucket is full again, there's no need to remember the address
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(function() {
+      delete handshakeBuckets[address];
+    }, handshakeInterval);
+
+    // addresses waiting to be forgotten shouldn't keep the process running after the server is closed
+    entry.timer.unref();
+
+    return wait;
+  };
+
+  // refuse a connection upgrade if there are too many connections already
+  // returns false if the connection was refused
+  var checkConnectionCount = function(socket) {
+    if (connectionCount < maxConnections) {
+      return true;
+    }
+
+    if (rateLimitHandler !== null) {
+      rateLimitHandler({
+        limit: 'connections',
+        type: null,
+        action: 'reject',
+        address: socket.remoteAddress
+      }, null);
+    }
+    rejectUpgrade(socket, 503, undefined, {});
+    return false;
+  };
+
+  // refuse a connection upgrade because the server is shutting down
+  var refuseShutdown = function(socket) {
+    var headers = {};
+    if (shutdownRetryAfter !== null) {
+      headers['Retry-After'] = Math.ceil(shutdownRetryAfter / 1000);
+    }
+    rejectUpgrade(socket, 503, undefined, headers);
+  };
+
+  // stop accepting connections, and ask every client to go away
+  // clients which take longer than timeout milliseconds to leave are disconnected
+  var shutDown = function(timeout, retryAfter) {
+    shuttingDown = true;
+    shutdownRetryAfter = retryAfter;
+
+    // new handshakes are refused anyway, so there's no need to count them
+    for (var address in handshakeBuckets) {
+      if (handshakeBuckets.hasOwnProperty(address)) {
+        clearTimeout(handshakeBuckets[address].timer);
+      }
+    }
+    handshakeBuckets = {};
+
+    shutdownTimer = setTimeout(function() {
+      for (var id in connections) {
+        if (connections.hasOwnProperty(id)) {
+          connections[id].destroy();
+        }
+      }
+    }, timeout);
+
+    Object.keys(connections).forEach(function(id) {
+      connections[id].shutDown(retryAfter);
+    });
+    checkShutdownComplete();
+  };
+
+  // once every connection is closed, let everyone waiting for the shutdown know
+  var checkShutdownComplete = function() {
+    if (shuttingDown && !shutdownComplete && connectionCount === 0) {
+      shutdownComplete = true;
+      clearTimeout(shutdownTimer);
+      if (streams !== null) {
+        streams.clear();
+      }
+
+      var callbacks = shutdownCallbacks;
+      shutdownCallbacks = [];
+      callbacks.forEach(function(callback) {
+        callback();
+      });
+    }
+  };
+
+  // take a snapshot of the statistics
+  var stats = function() {
+    var snapshot = {
+      connections: connectionCount
+    };
+    for (var key in counters) {
+      if (counters.hasOwnProperty(key)) {
+        snapshot[key] = counters[key];
+      }
+    }
+    return snapshot;
+  };
+
+  // a request handler which answers with the statistics in the Prometheus text format
+  var metricsHandler = metrics.handler(stats);
+
+  // deliver published messages to the sockets connected to this process
+  adapter.subscribe(function(event) {
+    var recipients = sockets;
+    if (event.room !== null) {
+      if (!rooms.hasOwnProperty(event.room)) {
+        return;
+      }
+      recipients = rooms[event.room];
+    }
+
+    for (var id in recipients) {
+      if (recipients.hasOwnProperty(id)) {
+        recipients[id].send(event.messageType, event.message);
+      }
+    }
+  });
+
+  // finish the handshake with a client which doesn't speak any protocol we support, then close the connection
+  // browsers don't let the page see why an upgrade was refused, but they do show the reason in a close frame
+  // they also give up on handshakes which don't pick one of the subprotocols they offered, so we pick the first one
+  var refuseProtocol = function(req, socket) {
+    var reason = 'Unsupported protocol';
+    if (errorHandler !== null) {
+      errorHandler(reason, 1002, null);
+    }
+
+    var payload = new Buffer(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(1002, 0);
+    payload.write(reason, 2);
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      'Sec-WebSocket-Accept: ' + acceptKey(req.headers['sec-websocket-key']) + '\r\n' +
+      'Sec-WebSocket-Protocol: ' + req.headers['sec-websocket-protocol'].split(',')[0].trim() + '\r\n' +
+      '\r\n');
+    socket.end(frame.encode(8, payload));
+  };
+
+  // this is called once we decide to accept a connection upgrade
+  // head is any data the client sent right after the upgrade request
+  var acceptConnection = function(req, socket, head, requestUrl, identity, negotiated) {
+    // agree on compression, if the client asked for it
+    var compression = deflate.negotiate(req.headers['sec-websocket-extensions'], deflateSettings);
+
+    // we have to send back this magic to the client to finish the handshake
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      'Sec-WebSocket-Accept: ' + acceptKey(req.headers['sec-websocket-key']) + '\r\n' +
+      (negotiated.header === null ? '' : 'Sec-WebSocket-Protocol: ' + negotiated.header + '\r\n') +
+      (compression === null ? '' : 'Sec-WebSocket-Extensions: ' + compression.header + '\r\n') +
+      '\r\n');
+
+    connectionCount += 1;
+    counters.connectionsTotal += 1;
+
+    var socketId = crypto.randomBytes(16).toString('hex');
+    var joinedRooms = {};
+    var started = false;
+    var closed = false;
+    var closeFrameSent = false;
+    var closeTimer = null;
+    var pingTimer = null;
+    var pongTimer = null;
+    var closeHandler = null;
+    var socketErrorHandler = null;
+    var socketApi = null;
+    var stream = null;
+    var ackTimer = null;
+    var messageHandlers = {};
+    var pendingRequests = {};
+    var nextRequestId = 0;
+    var inbound = makePipeline(middleware);
+    var outbound = makePipeline(middleware);
+    var payloadReceived = new Buffer(0);
+    var messageOpcode = 0;
+    var messageCompressed = false;
+    var closeFrameWritten = false;
+    var socketFull = false;
+    var outgoingQueue = [];
+    var queuedBytes = 0;
+    var drainNeeded = false;
+    var drainHandler = null;
+    var socketRateLimitHandler = null;
+    var socketEvents = emitter.create(['message', 'close', 'error', 'drain', 'rateLimited', 'channel']);
+    var resolveClosed = null;
+    var closedPromise = new Promise(function(resolve) {
+      resolveClosed = resolve;
+    });
+    var limiter = rateLimitSettings === null ? null : ratelimit.limiter(rateLimitSettings);
+    var delayedMessages = [];
+    var delayTimer = null;
+    var goingAway = false;
+    var goingAwayRetryAfter = null;
+    var requestsInProgress = {};
+
+    // how many messages (from or to the client) are still in the middleware or in an asynchronous handler
+    var messagesInProgress = 0;
+    var socketSession = null;
+    var sessionDestroyed = false;
+    var loadingSession = false;
+    var heldMessages = [];
+    var channels = {};
+
+    // the number of bytes waiting to be sent to the client
+    var bufferedAmount = function() {
+      return queuedBytes + socket.writableLength;
+    };
+
+    // once everything has been written, let the application know it can send more
+    var onFrameWritten = function() {
+      if (drainNeeded && outgoingQueue.length === 0 && socket.writableLength === 0 && !closed) {
+        drainNeeded = false;
+        if (drainHandler !== null) {
+          drainHandler();
+        }
+        socketEvents.emit('drain');
+      }
+    };
+
+    // write a frame to the socket
+    // returns false if the socket is full and we should wait for it to drain
+    var sendFrame = function(opcode, data, compressed) {
+      // nothing can be sent after a close frame
+      if (closeFrameWritten || !socket.writable) {
+        return true;
+      }
+      if (opcode === 8) {
+        closeFrameWritten = true;
+      }
+
+      // messages can be split into fragments, but control frames can't
+      var encoded;
+      if (opcode >= 8) {
+        encoded = frame.encode(opcode, data);
+      } else {
+        encoded = frame.encodeMessage(opcode, data, {
+          rsv1: compressed,
+          fragmentSize: fragmentSize
+        });
+      }
+
+      return socket.write(encoded, onFrameWritten);
+    };
+
+    // write as many queued frames as the socket will take
+    // close frames are tiny, so they don't wait for the socket to drain
+    var flushOutgoingQueue = function() {
+      while (outgoingQueue.length > 0 && (!socketFull || outgoingQueue[0].opcode === 8)) {
+        var entry = outgoingQueue.shift();
+        queuedBytes -= entry.data.length;
+
+        // a message can't go out once the connection is going away
+        if (entry.opcode !== 8 && (closeFrameWritten || !socket.writable)) {
+          dropMessages(1);
+          continue;
+        }
+
+        // compress the message if it's big enough to be worth it
+        // this happens in the order the messages are sent, since each one can refer back to the previous ones
+        var written;
+        if (entry.opcode !== 8 && compression !== null && entry.data.length >= compression.threshold) {
+          written = sendFrame(entry.opcode, compression.compress(entry.data), true);
+        } else {
+          written = sendFrame(entry.opcode, entry.data, false);
+        }
+        if (!written) {
+          socketFull = true;
+        }
+        if (entry.opcode !== 8) {
+          counters.messagesSent += 1;
+          counters.bytesSent += entry.data.length;
+        }
+      }
+    };
+
+    // count messages which won't be sent after all, and let the application know
+    var dropMessages = function(count) {
+      if (count > 0) {
+        counters.messagesDropped += count;
+        serverEvents.emit('drop', count, socketApi);
+      }
+    };
+
+    // forget the frames which haven't been written yet
+    var discardOutgoingQueue = function() {
+      var dropped = outgoingQueue.filter(function(entry) {
+        return entry.opcode !== 8;
+      }).length;
+      outgoingQueue = [];
+      queuedBytes = 0;
+      dropMessages(dropped);
+    };
+
+    // send a message to the client
+    // if the client isn't keeping up, the message waits in a queue until the socket drains
+    var sendMessage = function(message) {
+      if (!closed) {
+        // convert to JSON (or to binary, if necessary) for sending down the wire
+        var data = encodeMessage(message);
+        var entry = {
+          opcode: typeof data === 'string' ? 1 : 2,
+          data: typeof data === 'string' ? new Buffer(data) : data
+        };
+
+        // make room for the message if we can, or apply the buffer policy
+        if (bufferedAmount() + entry.data.length > maxBufferedAmount) {
+          drainNeeded = true;
+          if (bufferPolicy === 'disconnect') {
+            // the client will reconnect when it can keep up
+            discardOutgoingQueue();
+            dropMessages(1);
+            close(1013, 'Send buffer full', true);
+            return;
+          }
+          if (bufferPolicy === 'dropOldest') {
+            while (outgoingQueue.length > 0 && bufferedAmount() + entry.data.length > maxBufferedAmount) {
+              queuedBytes -= outgoingQueue.shift().data.length;
+              dropMessages(1);
+            }
+          }
+          if (bufferedAmount() + entry.data.length > maxBufferedAmount) {
+            dropMessages(1);
+            return;
+          }
+        }
+
+        outgoingQueue.push(entry);
+        queuedBytes += entry.data.length;
+        flushOutgoingQueue();
+        if (socketFull) {
+          drainNeeded = true;
+        }
+      }
+    };
+
+    // send a close frame with a status code and reason (or with no payload if code is null)
+    // the close frame goes out after any messages which are still waiting to be sent
+    var sendCloseFrame = function(code, reason) {
+      var payload = new Buffer(0);
+      if (code !== null) {
+        var reasonBuffer = new Buffer(reason);
+        payload = new Buffer(2 + reasonBuffer.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBuffer.copy(payload, 2);
+      }
+      closeFrameSent = true;
+      outgoingQueue.push({
+        opcode: 8,
+        data: payload
+      });
+      queuedBytes += payload.length;
+      flushOutgoingQueue();
+    };
+
+    // ask a client which predates the closing handshake to close the socket, since it takes a close frame
+    // for a network interruption and reconnects
+    // like the close frame which follows it, the message isn't subject to the buffer policy
+    var sendLegacyCloseMessage = function() {
+      var data = new Buffer(encodeMessage({
+        type: 'close'
+      }));
+      outgoingQueue.push({
+        opcode: 1,
+        data: data
+      });
+      queuedBytes += data.length;
+    };
+
+    // periodically ping the client, and assume it's gone if it doesn't answer in time
+    if (pingInterval > 0) {
+      pingTimer = setInterval(function() {
+        if (pongTimer === null) {
+          sendFrame(9, new Buffer(0));
+          pongTimer = setTimeout(function() {
+            socket.destroy();
+          }, pingTimeout);
+        }
+      }, pingInterval);
+    }
+
+    // set up the stream of messages for a client that asked for reliable mode
+    // if the client is resuming a stream, replay the messages it hasn't acknowledged yet
+    var startStream = function(resume) {
+      if (streams === null) {
+        // let the client know we don't support reliable mode
+        sendMessage({
+          type: 'stream',
+          id: null
+        });
+        return;
+      }
+
+      // if the client resumes the stream on a new connection, this one must be dead, even if we haven't noticed yet
+      var evict = function() {
+        stream = null;
+        close(1006, '', false);
+        socket.destroy();
+      };
+
+      var resumeId = resume !== null && typeof resume === 'object' ? resume.id : null;
+      stream = resumeId === null ? streams.create(evict) : streams.resume(resumeId, evict);
+      sendMessage({
+        type: 'stream',
+        id: stream.id,
+        received: stream.received()
+      });
+
+      if (stream.id === resumeId) {
+        if (typeof resume.received === 'number') {
+          stream.acknowledge(resume.received);
+        }
+        var replay = stream.unacknowledged();
+        for (var i = 0; i < replay.length; i += 1) {
+          sendMessage(replay[i]);
+        }
+      }
+    };
+
+    // let the client know which messages we've received, a few at a time
+    var scheduleAck = function() {
+      if (ackTimer === null) {
+        ackTimer = setTimeout(function() {
+          ackTimer = null;
+          if (stream !== null) {
+            sendMessage({
+              type: 'ack',
+              seq: stream.received()
+            });
+          }
+        }, 0);
+      }
+    };
+
+    // send a request to the client (on a channel, or on the connection itself if channel is null) and call back once it responds
+    var sendRequest = function(channel, type, message, timeout, callback) {
+      var event = {
+        kind: 'send',
+        socket: socketApi,
+        channel: channel === null ? null : channel.name,
+        type: type,
+        message: message,
+        request: true
+      };
+      outbound(event, function(error) {
+        if (error !== null) {
+          callback(error, null);
+        } else if (closed) {
+          callback('Connection closed', null);
+        } else if (channel !== null && !isOpen(channel)) {
+          callback('Channel closed', null);
+        } else {
+          startRequest(channel, event.type, event.message, timeout, callback);
+        }
+      });
+    };
+
+    // send a request that made it through the middleware
+    var startRequest = function(channel, type, message, timeout, callback) {
+      var id = nextRequestId;
+      nextRequestId += 1;
+
+      // give up if the client takes too long to respond
+      var timer = null;
+      if (timeout !== undefined) {
+        timer = setTimeout(function() {
+          delete pendingRequests[id];
+          callback('Request timed out', null);
+        }, timeout);
+      }
+
+      pendingRequests[id] = {
+        timer: timer,
+        callback: callback,
+        channel: channel
+      };
+
+      var envelope = {
+        type: 'request',
+        id: id,
+        messageType: type,
+        message: message
+      };
+      if (channel !== null) {
+        envelope.channel = channel.name;
+      }
+      sendMessage(envelope);
+    };
+
+    // the client responded to one of our requests
+    var settleRequest = function(messageData) {
+      if (typeof messageData.id !== 'number' || !pendingRequests.hasOwnProperty(messageData.id)) {
+        return;
+      }
+
+      var pendingRequest = pendingRequests[messageData.id];
+      delete pendingRequests[messageData.id];
+      if (pendingRequest.timer !== null) {
+        clearTimeout(pendingRequest.timer);
+      }
+
+      if (messageData.error !== undefined && messageData.error !== null) {
+        pendingRequest.callback(messageData.error, null);
+      } else {
+        pendingRequest.callback(null, messageData.message === undefined ? null : messageData.message);
+      }
+    };
+
+    // reply to a request from the client
+    var sendResponse = function(id, error, response) {
+      delete requestsInProgress[id];
+      if (closed) {
+        return;
+      }
+
+      if (error === null) {
+        if (response === undefined) {
+          response = null;
+        }
+        if (!jsonConvertible(response)) {
+          error = 'Invalid response';
+        }
+      }
+
+      if (error === null) {
+        sendMessage({
+          type: 'response',
+          id: id,
+          message: response
+        });
+      } else {
+        sendMessage({
+          type: 'response',
+          id: id,
+          error: error
+        });
+      }
+
+      // the server might have been waiting for this response before saying goodbye
+      leaveIfIdle();
+    };
+
+    // a message made it through the middleware and its handler, or was stopped along the way
+    var finishMessage = function() {
+      messagesInProgress -= 1;
+      leaveIfIdle();
+    };
+
+    // once the server is shutting down and every request and message in progress has been handled, ask the client to go away
+    // the client can be told how long to wait before reconnecting, so the clients of a server don't all come back at once
+    var leaveIfIdle = function() {
+      if (goingAway && !closed && Object.keys(requestsInProgress).length === 0 && messagesInProgress === 0) {
+        if (goingAwayRetryAfter !== null) {
+          sendMessage({
+            type: 'shutdown',
+            retryAfter: goingAwayRetryAfter
+          });
+        }
+        close(1001, 'Server shutting down', true);
+      }
+    };
+
+    // pass a message from the client through the middleware, then deliver it to the application
+    // if the middleware stops a request, the client gets the error as the response
+    // messages which don't match the schema for their type never reach the application
+    var dispatchMessage = function(type, message, requestId, channelName) {
+      // messages wait until we know which session the client belongs to
+      if (loadingSession) {
+        heldMessages.push(function() {
+          dispatchMessage(type, message, requestId, channelName);
+        });
+        return;
+      }
+
+      // messages on a channel wait until the middleware lets the channel through, and messages on a closed channel are dropped
+      if (channelName !== null) {
+        if (!hasOwn(channels, channelName)) {
+          if (requestId !== null) {
+            sendResponse(requestId, 'Channel closed', null);
+          }
+          return;
+        }
+        if (!channels[channelName].open) {
+          channels[channelName].held.push(function() {
+            dispatchMessage(type, message, requestId, channelName);
+          });
+          return;
+        }
+      }
+
+      // don't start anything new once the server is shutting down
+      if (requestId !== null) {
+        if (goingAway) {
+          sendResponse(requestId, 'Server shutting down', null);
+          return;
+        }
+        requestsInProgress[requestId] = true;
+      }
+
+      // check the message against the schema for its type first, so the middleware only sees valid messages
+      var invalidPath = validateMessage(type, message);
+      if (invalidPath !== null) {
+        if (requestId !== null) {
+          sendResponse(requestId, 'Invalid parameter: ' + invalidPath, null);
+        }
+        return;
+      }
+
+      var event = {
+        kind: 'receive',
+        socket: socketApi,
+        channel: channelName,
+        type: type,
+        message: message,
+        request: requestId !== null
+      };
+      if (requestId === null) {
+        messagesInProgress += 1;
+      }
+      inbound(event, function(error) {
+        if (error === null) {
+          deliverMessage(event.type, event.message, requestId, channelName);
+        } else if (requestId !== null) {
+          sendResponse(requestId, serializableError(error), null);
+        } else {
+          finishMessage();
+        }
+      });
+    };
+
+    // deliver a message to the application, and reply if the client asked for a response
+    var deliverMessage = function(type, message, requestId, channelName) {
+      var handlers = messageHandlers;
+      var events = socketEvents;
+      if (channelName !== null) {
+        // the channel might have been closed while the message was in the middleware
+        if (!hasOwn(channels, channelName)) {
+          if (requestId !== null) {
+            sendResponse(requestId, 'Channel closed', null);
+          } else {
+            finishMessage();
+          }
+          return;
+        }
+        handlers = channels[channelName].messageHandlers;
+        events = channels[channelName].events;
+      }
+
+      // the type comes from the other side, so it might be the name of a property every object has (e.g., constructor)
+      var messageHandler = hasOwn(handlers, type) ? handlers[type] : undefined;
+
+      if (requestId === null) {
+        var result = null;
+        try {
+          if (messageHandler !== undefined) {
+            result = messageHandler(message);
+          }
+          events.emit('message', type, message);
+        } finally {
+          // the message is still in progress until an asynchronous handler is done with it
+          if (isThenable(result)) {
+            result.then(finishMessage, function(e) {
+              finishMessage();
+              throw e;
+            });
+          } else {
+            finishMessage();
+          }
+        }
+        return;
+      }
+
+      if (messageHandler === undefined) {
+        sendResponse(requestId, 'No handler for message type: ' + type, null);
+        return;
+      }
+
+      var result;
+      try {
+        result = messageHandler(message);
+      } catch (e) {
+        sendResponse(requestId, serializableError(e), null);
+        return;
+      }
+
+      if (isThenable(result)) {
+        result.then(function(response) {
+          sendResponse(requestId, null, response);
+        }, function(e) {
+          sendResponse(requestId, serializableError(e), null);
+        });
+      } else {
+        sendResponse(requestId, null, result);
+      }
+    };
+
+    // call this when the connection is closed
+    // or when we want to close the connection
+    var close = function(code, reason, needToCloseSocket) {
+      if (!closed) {
+        // start the closing handshake if necessary, but don't wait forever for the client to finish it
+        if (needToCloseSocket && !closeFrameSent) {
+          // clients which don't send a subprotocol predate the closing handshake
+          // they should only reconnect if the status code asks them to
+          if (negotiated.header === null && !isTemporaryCloseCode(code)) {
+            sendLegacyCloseMessage();
+          }
+          sendCloseFrame(code, reason);
+          closeTimer = setTimeout(function() {
+            socket.destroy();
+          }, closeTimeout);
+        }
+
+        // mark the connection as closed and clean up
+        closed = true;
+        clearTimeout(ackTimer);
+
+        // if the connection was lost, keep the stream around in case the client comes back
+        if (stream !== null && code === 1006) {
+          streams.detach(stream);
+        } else if (stream !== null) {
+          streams.release(stream);
+        }
+        stream = null;
+
+        // forget the socket and remove it from all of its rooms
+        var admitted = sockets.hasOwnProperty(socketId);
+        delete sockets[socketId];
+        for (var room in joinedRooms) {
+          if (joinedRooms.hasOwnProperty(room)) {
+            leaveRoom(room, socketId);
+          }
+        }
+        joinedRooms = {};
+
+        // keep the session around for a while in case the client comes back
+        if (socketSession !== null && !sessionDestroyed) {
+          sessionSettings.store.set(socketSession.id, socketSession.data, sessionSettings.ttl, function() {});
+        }
+        heldMessages = [];
+
+        // reject any requests still waiting for a response
+        var requests = pendingRequests;
+        pendingRequests = {};
+        for (var id in requests) {
+          if (requests.hasOwnProperty(id)) {
+            if (requests[id].timer !== null) {
+              clearTimeout(requests[id].timer);
+            }
+            requests[id].callback('Connection closed', null);
+          }
+        }
+
+        // close the channels, which can't outlive the connection
+        Object.keys(channels).forEach(function(name) {
+          closeChannel(channels[name], 'Connection closed', false);
+        });
+
+        // notify the application
+        if (closeHandler !== null) {
+          closeHandler(code, reason);
+        }
+        socketEvents.emit('close', code, reason);
+        resolveClosed({
+          code: code,
+          reason: reason
+        });
+        if (admitted) {
+          serverEvents.emit('disconnect', socketApi, code, reason);
+        }
+      }
+    };
+
+    // the client started (or finished) the closing handshake
+    var onCloseFrame = function(payload) {
+      var code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+      var reason = payload.length > 2 ? payload.slice(2).toString() : '';
+
+      // the payload is either empty or a valid status code followed by a UTF-8 reason
+      if (payload.length === 1 || (payload.length >= 2 && !isValidCloseCode(code))) {
+        fail(1002, 'Invalid close frame');
+        return;
+      }
+      if (!isUtf8(payload.slice(2))) {
+        fail(1007, 'Invalid UTF-8');
+        return;
+      }
+
+      // after the closing handshake, there is nothing left to read
+      decoder.stop();
+
+      // echo the status code if we haven't sent a close frame already, then hang up
+      // the client won't read anything else, so there's no point in sending the messages still in the queue
+      if (!closeFrameSent) {
+        discardOutgoingQueue();
+        sendCloseFrame(code === 1005 ? null : code, '');
+      }
+      socket.end();
+
+      close(code, reason, false);
+    };
+
+    // the client broke the rules, so stop listening to it and hang up
+    var fail = function(code, reason) {
+      decoder.stop();
+      discardOutgoingQueue();
+
+      // let the application know what went wrong before the socket is closed
+      if (socketErrorHandler !== null) {
+        socketErrorHandler(reason, code);
+      }
+      socketEvents.emit('error', reason, code);
+      if (errorHandler !== null) {
+        errorHandler(reason, code, sockets.hasOwnProperty(socketId) ? sockets[socketId] : null);
+      }
+
+      close(code, reason, true);
+      socket.end();
+    };
+
+    // the client sent a message we can't make sense of, so count it before failing the connection
+    var failToParse = function(reason) {
+      counters.parseErrors += 1;
+      serverEvents.emit('parseError', reason, sockets.hasOwnProperty(socketId) ? sockets[socketId] : null);
+      fail(1007, reason);
+    };
+
+    // handle a complete message from the client
+    var onMessage = function(opcode, compressed, payload) {
+      // decompress the message if necessary, without letting it grow too big
+      if (compressed) {
+        try {
+          payload = compression.decompress(payload, maxMessageSize);
+        } catch (e) {
+          if (e.code === 'ERR_BUFFER_TOO_LARGE') {
+            fail(1009, 'Message too large');
+          } else {
+            failToParse('Invalid compressed data');
+          }
+          return;
+        }
+      }
+
+      counters.messagesReceived += 1;
+      counters.bytesReceived += payload.length;
+
+      // text messages have to be valid UTF-8
+      if (opcode === 1 && !isUtf8(payload)) {
+        failToParse('Invalid UTF-8');
+        return;
+      }
+
+      // try to parse the message
+      var messageData;
+      try {
+        if (opcode === 1) {
+          messageData = JSON.parse(payload.toString());
+        } else {
+          messageData = decodeBinaryMessage(payload);
+        }
+      } catch (e) {
+        messageData = null;
+      }
+
+      if (messageData === null || typeof messageData !== 'object') {
+        // the client sent something other than a socket.js message
+        failToParse('Invalid message');
+      } else if (limiter === null || messageData.type === 'connect' || messageData.type === 'reconnect') {
+        handleMessageData(messageData);
+      } else {
+        limitMessageData(messageData, payload.length);
+      }
+    };
+
+    // act on a message from the client
+    var handleMessageData = function(messageData) {
+      if (messageData.type === 'connect') {
+        // the client is connecting for the first time
+        if (!started) {
+          started = true;
+          if (messageData.reliable === true) {
+            startStream(null);
+          }
+          start(null, false, null);
+        }
+      } else if (messageData.type === 'reconnect') {
+        // the client is reconnecting
+        if (!started) {
+          started = true;
+          if (messageData.reliable === true) {
+            startStream(messageData.stream === undefined ? null : messageData.stream);
+          }
+          start(messageData.reconnectData, true, messageData.session === undefined ? null : messageData.session);
+        }
+      } else if (messageData.type === 'message') {
+        // in reliable mode, ignore messages we've already received (e.g., if the client replayed them)
+        var duplicate = false;
+        if (stream !== null && typeof messageData.seq === 'number') {
+          duplicate = !stream.accept(messageData.seq);
+          scheduleAck();
+        }
+
+        // send the message to the application
+        if (!duplicate) {
+          dispatchMessage(messageData.messageType, messageData.message, null, channelOf(messageData));
+        }
+      } else if (messageData.type === 'ack') {
+        // the client received our messages, so we don't need to keep them around anymore
+        if (stream !== null && typeof messageData.seq === 'number') {
+          stream.acknowledge(messageData.seq);
+        }
+      } else if (messageData.type === 'request') {
+        // send the request to the application and reply with the result
+        if (typeof messageData.id === 'number') {
+          dispatchMessage(messageData.messageType, messageData.message, messageData.id, channelOf(messageData));
+        }
+      } else if (messageData.type === 'response') {
+        // the client answered one of our requests
+        settleRequest(messageData);
+      } else if (messageData.type === 'openChannel') {
+        // the client opened a channel
+        if (typeof messageData.channel === 'string') {
+          acceptChannel(messageData.channel);
+        }
+      } else if (messageData.type === 'closeChannel') {
+        // the client closed a channel
+        if (typeof messageData.channel === 'string' && hasOwn(channels, messageData.channel)) {
+          closeChannel(channels[messageData.channel], null, false);
+        }
+      }
+    };
+
+    // let the application know the client went over a rate limit
+    var notifyRateLimited = function(limit, type) {
+      var info = {
+        limit: limit,
+        type: type,
+        action: rateLimitSettings.action
+      };
+      if (socketRateLimitHandler !== null) {
+        socketRateLimitHandler(info);
+      }
+      socketEvents.emit('rateLimited', info);
+      if (rateLimitHandler !== null) {
+        rateLimitHandler(info, socketApi);
+      }
+    };
+
+    // make sure a message from the client fits within the rate limits before acting on it
+    // messages over the limit are dropped, delayed, or get the client disconnected
+    var limitMessageData = function(messageData, bytes) {
+      // only messages and requests count against the limits for their type
+      var type = null;
+      if ((messageData.type === 'message' || messageData.type === 'request') && typeof messageData.messageType === 'string') {
+        type = messageData.messageType;
+      }
+
+      // messages can't overtake the ones which are already waiting
+      if (delayedMessages.length > 0) {
+        delayedMessages.push({
+          messageData: messageData,
+          type: type,
+          bytes: bytes
+        });
+        return;
+      }
+
+      var exceeded = limiter.check(type, bytes);
+      if (exceeded === null) {
+        limiter.take(type, bytes);
+        handleMessageData(messageData);
+        return;
+      }
+
+      notifyRateLimited(exceeded.limit, type);
+
+      if (rateLimitSettings.action === 'drop') {
+        // don't leave the client waiting for a response that will never come
+        if (messageData.type === 'request' && typeof messageData.id === 'number') {
+          sendResponse(messageData.id, 'Rate limit exceeded', null);
+        }
+      } else if (rateLimitSettings.action === 'delay') {
+        // stop reading from the socket until the client is back under the limit, which slows it down too
+        socket.pause();
+        delayedMessages.push({
+          messageData: messageData,
+          type: type,
+          bytes: bytes
+        });
+        delayTimer = setTimeout(handleDelayedMessages, exceeded.wait);
+      } else {
+        close(1008, 'Rate limit exceeded', true);
+      }
+    };
+
+    // act on the delayed messages as they fit within the rate limits, then start reading from the socket again
+    var handleDelayedMessages = function() {
+      delayTimer = null;
+      while (delayedMessages.length > 0 && !closed) {
+        var delayed = delayedMessages[0];
+        var exceeded = limiter.check(delayed.type, delayed.bytes);
+        if (exceeded !== null) {
+          delayTimer = setTimeout(handleDelayedMessages, exceeded.wait);
+          return;
+        }
+
+        delayedMessages.shift();
+        limiter.take(delayed.type, delayed.bytes);
+        handleMessageData(delayed.messageData);
+      }
+      socket.resume();
+    };
 
-        // send a message to the client
-        var sendMessage = function(message) {
+    // make sure each frame follows the rules before we bother waiting for the rest of it
+    var onFrameHeader = function(header) {
+      if (!header.masked) {
+        // clients have to mask their frames
+        fail(1002, 'Unmasked frame');
+      } else if (header.rsv2 || header.rsv3) {
+        // RSV2 and RSV3 are reserved for extensions we don't support
+        fail(1002, 'Unexpected RSV2 or RSV3 bit');
+      } else if ((header.opcode >= 3 && header.opcode <= 7) || header.opcode >= 11) {
+        fail(1002, 'Reserved opcode');
+      } else if (header.opcode >= 8 && (!header.fin || header.payloadLength > 125)) {
+        fail(1002, 'Invalid control frame');
+      } else if ((header.opcode === 0 && messageOpcode === 0) ||
+          ((header.opcode === 1 || header.opcode === 2) && messageOpcode !== 0)) {
+        fail(1002, 'Unexpected fragment');
+      } else if (header.rsv1 && (compression === null || header.opcode === 0 || header.opcode >= 8)) {
+        // only the first frame of a message can be marked as compressed, and only if we agreed to compression
+        fail(1002, 'Unexpected RSV1 bit');
+      } else if (header.payloadLength > maxPayload) {
+        // don't let the client make us hold on to too much data
+        fail(1009, 'Frame too large');
+      } else if (header.opcode < 8 && payloadReceived.length + header.payloadLength > maxMessageSize) {
+        fail(1009, 'Message too large');
+      }
+    };
+
+    // handle a complete frame from the client
+    var onFrame = function(header, payload) {
+      if (header.opcode === 8) {
+        // the client wants to close the connection, or agreed to close it
+        onCloseFrame(payload);
+      } else if (header.opcode === 9) {
+        // answer pings with pongs containing the same data
+        sendFrame(10, payload);
+      } else if (header.opcode === 10) {
+        // the client answered our ping, so it's still there
+        if (pongTimer !== null) {
+          clearTimeout(pongTimer);
+          pongTimer = null;
+        }
+      } else {
+        // the first frame of a message has the opcode, the rest of the fragments have opcode 0
+        // control frames can come in between the fragments
+        if (header.opcode !== 0) {
+          messageOpcode = header.opcode;
+          messageCompressed = header.rsv1;
+        }
+        payloadReceived = Buffer.concat([payloadReceived, payload], payloadReceived.length + payload.length);
+
+        // once we have the final fragment, we got it all
+        if (header.fin) {
+          var messagePayload = payloadReceived;
+          var completeOpcode = messageOpcode;
+          payloadReceived = new Buffer(0);
+          messageOpcode = 0;
           if (!closed) {
-            // convert to JSON for sending down the wire
-            var data = JSON.stringify(message);
-
-            // FIN, RSV1-3, and opcode
-            socket.write(new Buffer([129]));
-
-            // funky variable-width encoding of the payload length
-            var payloadLengthBuffer;
-            if (data.length < 126) {
-              payloadLengthBuffer = new Buffer([data.length]);
-            } else if (data.length < 65536) {
-              payloadLengthBuffer = new Buffer(3);
-              payloadLengthBuffer.writeUInt8(126, 0);
-              payloadLengthBuffer.writeUInt16BE(data.length, 1);
-            } else {
-              payloadLengthBuffer = new Buffer(9);
-              payloadLengthBuffer.writeUInt8(127, 0);
-              payloadLengthBuffer.writeUInt16BE(0, 1);
-              payloadLengthBuffer.writeUInt16BE(data.length, 5);
-            }
-            socket.write(payloadLengthBuffer);
+            onMessage(completeOpcode, messageCompressed, messagePayload);
+          }
+        }
+      }
+    };
+
+    var decoder = frame.decoder(onFrameHeader, onFrame);
+    socket.on('data', function(data) {
+      decoder.write(data);
+    });
+
+    // when the socket is closed, we're done here
+    socket.on('close', function() {
+      close(1006, '', false);
+      connectionCount -= 1;
+      delete connections[socketId];
+
+      // stop the timers and free any data we were holding on to
+      clearInterval(pingTimer);
+      clearTimeout(pongTimer);
+      clearTimeout(closeTimer);
+      clearTimeout(delayTimer);
+      decoder.stop();
+      payloadReceived = new Buffer(0);
+      delayedMessages = [];
+      discardOutgoingQueue();
+
+      checkShutdownComplete();
+    });
+
+    // the client caught up, so send the messages that were waiting
+    socket.on('drain', function() {
+      socketFull = false;
+      flushOutgoingQueue();
+    });
+
+    // if the client hangs up without a closing handshake, hang up too
+    socket.on('end', function() {
+      socket.end();
+    });
 
-            // send the actual payload
-            socket.write(data);
+    // make the session object the application sees
+    var makeSession = function(id, data, resumed) {
+      var sessionObject = {
+        // a unique identifier for the session, which stays the same when the client reconnects
+        id: id,
+
+        // whether the client resumed the session after reconnecting, rather than starting a new one
+        resumed: resumed,
+
+        // the application's data for the session, which is saved to the store when the connection is closed
+        data: data,
+
+        // save the data to the store now
+        save: function(callback) {
+          if (callback !== undefined && typeof callback !== 'function') {
+            throw 'Invalid parameter: callback';
           }
-        };
 
-        // call this when the connection is closed
-        // or when we want to close the connection
-        var close = function(needToCloseSocket) {
-          if (!closed) {
-            // ask the client to close the socket if necessary
-            if (needToCloseSocket) {
-              sendMessage({
-                type: 'close'
-              });
+          sessionSettings.store.set(id, sessionObject.data, sessionSettings.ttl, function(error) {
+            if (callback !== undefined) {
+              callback(error === undefined ? null : error);
             }
+          });
+        },
 
-            // mark the connection as closed and clean up
-            closed = true;
-            dataReceived = new Buffer(0);
+        // forget the session (e.g., when the user logs out), so the client starts a new one the next time it connects
+        destroy: function(callback) {
+          if (callback !== undefined && typeof callback !== 'function') {
+            throw 'Invalid parameter: callback';
+          }
 
-            // notify the application
-            if (closeHandler !== null) {
-              closeHandler();
+          sessionDestroyed = true;
+          sessionSettings.store.delete(id, function(error) {
+            if (callback !== undefined) {
+              callback(error === undefined ? null : error);
             }
-          }
-        };
+          });
+        }
+      };
+      return sessionObject;
+    };
 
-        socket.on('data', function(data) {
-          if (closed) {
+    // find the session for a token from the client, or start a new session if there isn't one
+    var loadSession = function(token, callback) {
+      var id = session.verify(sessionSettings, token);
+      if (id === null) {
+        callback(makeSession(crypto.randomBytes(16).toString('hex'), {}, false));
+        return;
+      }
+
+      // the client may have reconnected before we noticed that its old connection was lost
+      // in that case the old connection still has the session, and the store doesn't have the latest data (if any)
+      for (var otherId in connections) {
+        if (hasOwn(connections, otherId) && otherId !== socketId) {
+          var handedOver = connections[otherId].handOverSession(id);
+          if (handedOver !== null) {
+            callback(makeSession(id, handedOver.data, true));
             return;
           }
+        }
+      }
 
-          // collect all the unprocessed data received so far
-          dataReceived = Buffer.concat([dataReceived, data], dataReceived.length + data.length);
+      sessionSettings.store.get(id, function(error, data) {
+        if ((error !== undefined && error !== null) || data === undefined || data === null) {
+          // the session expired (or we can't tell), so start over
+          callback(makeSession(crypto.randomBytes(16).toString('hex'), {}, false));
+        } else {
+          callback(makeSession(id, data, true));
+        }
+      });
+    };
 
-          // eat as much data as possible, one frame at a time
-          while (true) {
-            // read the FIN bit
-            var nextByteIndex = 0;
-            if (dataReceived.length < nextByteIndex + 1) {
-              return;
-            }
-            var fin = (dataReceived.readUInt8(0) >> 7) === 1;
-
-            // read the opcode
-            var opcode = dataReceived.readUInt8(0) & 15;
-            if (opcode === 8) {
-              // client closed the connection
-              close(true);
-              return;
-            }
-            nextByteIndex += 1;
+    // send a message to the client on a channel (or on the connection itself, if channel is null)
+    var sendOn = function(channel, type, message) {
+      if (typeof type !== 'string') {
+        throw 'Invalid parameter: type';
+      }
 
-            // read the mask bit
-            if (dataReceived.length < nextByteIndex + 1) {
-              return;
-            }
-            var mask = (dataReceived.readUInt8(1) >> 7) === 1;
-
-            // read the payload length (it's a variable-width encoding)
-            var payloadLength;
-            if ((dataReceived.readUInt8(1) & 127) < 126) {
-              payloadLength = dataReceived.readUInt8(1) & 127;
-              nextByteIndex += 1;
-            } else if ((dataReceived.readUInt8(1) & 127) === 126) {
-              if (dataReceived.length < nextByteIndex + 3) {
-                return;
-              }
-              payloadLength = dataReceived.readUInt16BE(2);
-              nextByteIndex += 3;
-            } else {
-              if (dataReceived.length < nextByteIndex + 9) {
-                return;
-              }
-              payloadLength = (dataReceived.readUInt32BE(2) << 32) + dataReceived.readUInt32BE(6);
-              nextByteIndex += 9;
-            }
+      if (!jsonConvertible(message)) {
+        throw 'Invalid parameter: message';
+      }
 
-            // read the masking key for decrypting the message, if there is one
-            var maskingKey;
-            if (mask) {
-              if (dataReceived.length < nextByteIndex + 4) {
-                return;
-              }
-              maskingKey = dataReceived.slice(nextByteIndex, nextByteIndex + 4);
-              nextByteIndex += 4;
-            }
+      checkOutgoingMessage(type, message);
 
-            // check if we got the whole frame yet
-            if (dataReceived.length < nextByteIndex + payloadLength) {
-              return;
-            }
+      if (closed) {
+        throw 'Attempted to transmit after the connection has been closed';
+      }
 
-            // decrypt the message if necessary
-            if (mask) {
-              for (var i = 0; i < payloadLength; i += 1) {
-                dataReceived.writeUInt8(dataReceived.readUInt8(nextByteIndex + i) ^ maskingKey.readUInt8(i % 4), nextByteIndex + i);
-              }
-            }
+      if (channel !== null && !isOpen(channel)) {
+        throw 'Attempted to transmit after the channel has been closed';
+      }
 
-            // read the payload
-            payloadReceived = Buffer.concat([payloadReceived, dataReceived.slice(nextByteIndex, nextByteIndex + payloadLength)], payloadReceived.length + payloadLength);
-            nextByteIndex += payloadLength;
-
-            // if the message fits in one frame, we got it all
-            if (fin) {
-              if (opcode === 1) {
-                var messageData;
-                try {
-                  // try to parse the message
-                  messageData = JSON.parse(payloadReceived.toString());
-                } catch (e) {
-                  close(true);
-                  return;
-                }
-                if (messageData.type === 'connect') {
-                  // the client is connecting for the first time
-                  if (!started) {
-                    started = true;
-                    start(null);
-                  }
-                } else if (messageData.type === 'reconnect') {
-                  // the client is reconnecting
-                  if (!started) {
-                    started = true;
-                    start(messageData.reconnectData);
-                  }
-                } else if (messageData.type === 'message') {
-                  // send the message to the application
-                  if (messageHandlers[messageData.messageType] !== undefined) {
-                    messageHandlers[messageData.messageType](messageData.message);
-                  }
-                }
-              }
-              payloadReceived = new Buffer(0);
-            }
+      // a channel the client opened can't be used until the middleware lets it through
+      if (channel !== null && !channel.open) {
+        throw 'Attempted to transmit before the channel has been opened';
+      }
+
+      var event = {
+        kind: 'send',
+        socket: socketApi,
+        channel: channel === null ? null : channel.name,
+        type: type,
+        message: message,
+        request: false
+      };
+      messagesInProgress += 1;
+      outbound(event, function(error) {
+        if (error === null && !closed && (channel === null || isOpen(channel))) {
+          var envelope = {
+            type: 'message',
+            messageType: event.type,
+            message: event.message
+          };
+          if (channel !== null) {
+            envelope.channel = channel.name;
+          }
+          if (stream === null) {
+            sendMessage(envelope);
+          } else {
+            sendMessage(stream.sequence(envelope));
 
-            // free the data for this frame
-            if (dataReceived.length === nextByteIndex) {
-              dataReceived = new Buffer(0);
-            } else {
-              dataReceived = dataReceived.slice(nextByteIndex);
+            // the client has fallen too far behind, but dropping messages would leave a gap in the stream
+            // so hang on to all of them and let the client reconnect to get them
+            if (stream.overflowed()) {
+              streams.detach(stream);
+              stream = null;
+              close(1013, 'Too many unacknowledged messages', true);
             }
           }
+        }
+        finishMessage();
+      });
+    };
+
+    // send a request to the client on a channel (or on the connection itself, if channel is null)
+    // and get its response via a promise or a callback
+    var requestOn = function(channel, type, message, options, callback) {
+      if (typeof options === 'function' && callback === undefined) {
+        callback = options;
+        options = undefined;
+      }
+
+      if (typeof type !== 'string') {
+        throw 'Invalid parameter: type';
+      }
+
+      if (!jsonConvertible(message)) {
+        throw 'Invalid parameter: message';
+      }
+
+      checkOutgoingMessage(type, message);
+
+      if (options !== undefined && (options === null || typeof options !== 'object')) {
+        throw 'Invalid parameter: options';
+      }
+
+      var timeout = options === undefined ? undefined : options.timeout;
+      if (timeout !== undefined && (typeof timeout !== 'number' || !(timeout > 0))) {
+        throw 'Invalid parameter: options.timeout';
+      }
+
+      if (callback !== undefined && typeof callback !== 'function') {
+        throw 'Invalid parameter: callback';
+      }
+
+      if (closed) {
+        throw 'Attempted to transmit after the connection has been closed';
+      }
+
+      if (channel !== null && !isOpen(channel)) {
+        throw 'Attempted to transmit after the channel has been closed';
+      }
+
+      // a channel the client opened can't be used until the middleware lets it through
+      if (channel !== null && !channel.open) {
+        throw 'Attempted to transmit before the channel has been opened';
+      }
+
+      if (callback !== undefined) {
+        sendRequest(channel, type, message, timeout, callback);
+        return;
+      }
+
+      return new Promise(function(resolve, reject) {
+        sendRequest(channel, type, message, timeout, function(error, response) {
+          if (error === null) {
+            resolve(response);
+          } else {
+            reject(error);
+          }
+        });
+      });
+    };
+
+    // register a callback to receive messages of a type (or remove it, if handler is null)
+    var setMessageHandler = function(handlers, type, handler) {
+      if (typeof type !== 'string') {
+        throw 'Invalid parameter: type';
+      }
+
+      if (handler !== null && typeof handler !== 'function') {
+        throw 'Invalid parameter: handler';
+      }
+
+      if (handler === null) {
+        delete handlers[type];
+      } else {
+        handlers[type] = handler;
+      }
+    };
+
+    // check if a channel is still open (a channel with the same name might have been opened since it was closed)
+    var isOpen = function(channel) {
+      return hasOwn(channels, channel.name) && channels[channel.name] === channel;
+    };
+
+    // make a channel, which has its own message handlers and events but shares the connection with the other channels
+    var makeChannel = function(name) {
+      var channel = {
+        name: name,
+
+        // false while the middleware decides whether to let a channel the client opened through
+        open: false,
+
+        // the messages which arrived in the meantime
+        held: [],
+
+        messageHandlers: {},
+        closeHandler: null,
+        events: emitter.create(['message', 'close']),
+        api: null
+      };
+
+      channel.api = {
+        // the name of the channel
+        name: name,
+
+        // send a message to the client on this channel
+        send: function(type, message) {
+          sendOn(channel, type, message);
+        },
+
+        // send a request to the client on this channel and get its response via a promise or a callback
+        request: function(type, message, options, callback) {
+          return requestOn(channel, type, message, options, callback);
+        },
+
+        // register a callback to receive messages from the client on this channel
+        receive: function(type, handler) {
+          setMessageHandler(channel.messageHandlers, type, handler);
+        },
+
+        // close the channel or register a callback to be notified when the channel is closed
+        close: function(handler) {
+          if (handler !== undefined && handler !== null && typeof handler !== 'function') {
+            throw 'Invalid parameter: handler';
+          }
+
+          if (handler === undefined) {
+            closeChannel(channel, null, true);
+          } else {
+            channel.closeHandler = handler;
+          }
+        },
+
+        // add a listener for an event ('message' or 'close')
+        on: channel.events.on,
+
+        // add a listener which is removed after the next time the event happens
+        once: channel.events.once,
+
+        // remove a listener
+        off: channel.events.off,
+
+        // get an async iterator over the messages of a type on this channel, which finishes once the channel is closed
+        messages: function(type) {
+          if (typeof type !== 'string') {
+            throw 'Invalid parameter: type';
+          }
+
+          return emitter.messages(channel.events, type, !isOpen(channel));
+        }
+      };
+
+      return channel;
+    };
+
+    // the client opened a channel, so let the middleware decide whether to allow it before handing it to the application
+    // messages on the channel wait until this is done
+    var acceptChannel = function(name) {
+      if (loadingSession) {
+        heldMessages.push(function() {
+          acceptChannel(name);
+        });
+        return;
+      }
+
+      // the channel might be open already (e.g., if both sides opened it at once)
+      if (hasOwn(channels, name)) {
+        return;
+      }
+
+      // every channel takes up memory, so the client can't open too many
+      if (Object.keys(channels).length >= maxChannels) {
+        sendMessage({
+          type: 'closeChannel',
+          channel: name,
+          error: 'Too many channels'
+        });
+        return;
+      }
+
+      var channel = makeChannel(name);
+      channels[name] = channel;
+      var event = {
+        kind: 'channel',
+        socket: socketApi,
+        channel: name
+      };
+      inbound(event, function(error) {
+        // the channel (or the connection) might have been closed in the meantime
+        if (!isOpen(channel)) {
+          return;
+        }
+
+        if (error === null) {
+          // let the client know it can use the channel
+          channel.open = true;
+          sendMessage({
+            type: 'openChannel',
+            channel: name
+          });
+          socketEvents.emit('channel', channel.api);
+        } else {
+          delete channels[name];
+          sendMessage({
+            type: 'closeChannel',
+            channel: name,
+            error: serializableError(error)
+          });
+        }
+
+        // now the messages which arrived in the meantime can go through (or be dropped, if the channel was refused)
+        var held = channel.held;
+        channel.held = [];
+        held.forEach(function(dispatch) {
+          dispatch();
         });
+      });
+    };
+
+    // close a channel, and let the application know
+    // error is null if either side closed the channel on purpose, or says why the channel was closed otherwise
+    var closeChannel = function(channel, error, notifyClient) {
+      if (!isOpen(channel)) {
+        return;
+      }
 
-        // when the socket is closed, we're done here
-        socket.on('close', function(data) {
-          close(false);
+      delete channels[channel.name];
+      if (notifyClient) {
+        sendMessage({
+          type: 'closeChannel',
+          channel: channel.name
         });
+      }
+
+      // the requests on the channel won't get a response
+      for (var id in pendingRequests) {
+        if (pendingRequests.hasOwnProperty(id) && pendingRequests[id].channel === channel) {
+          var pendingRequest = pendingRequests[id];
+          delete pendingRequests[id];
+          if (pendingRequest.timer !== null) {
+            clearTimeout(pendingRequest.timer);
+          }
+          pendingRequest.callback('Channel closed', null);
+        }
+      }
+
+      if (channel.closeHandler !== null) {
+        channel.closeHandler(error);
+      }
+      channel.events.emit('close', error);
+    };
+
+    // this is called once the client tells us that
+    // a) this is a new connection, or
+    // b) we are reconnecting
+    var start = function(reconnectData, reconnecting, sessionToken) {
+      socketApi = {
+        // a unique identifier for this connection
+        id: socketId,
+
+        // whatever verifyClient provided when it accepted the connection
+        identity: identity,
+
+        // the path and the parsed query string the client connected with
+        path: requestUrl.pathname,
+        query: requestUrl.query,
+
+        // the version of the socket.js protocol the client speaks, and the application protocol it asked for (or null)
+        version: negotiated.version,
+        protocol: negotiated.protocol,
+
+        // the client's session, or null if sessions are disabled
+        session: null,
+
+        // send a message to the client
+        send: function(type, message) {
+          sendOn(null, type, message);
+        },
 
-        // this is called once the client tells us that
-        // a) this is a new connection, or
-        // b) we are reconnecting
-        var start = function(reconnectData) {
-          handler({
-            // send a message to the client
-            send: function(type, message) {
-              if (typeof type !== 'string') {
-                throw 'Invalid parameter: type';
-              }
-
-              if (!jsonConvertible(message)) {
-                throw 'Invalid parameter: message';
-              }
-
-              if (closed) {
-                throw 'Attempted to transmit after the connection has been closed';
-              }
-
-              sendMessage({
-                type: 'message',
-                messageType: type,
-                message: message
-              });
-            },
-
-            // register a callback to receive messages from the client
-            receive: function(type, handler) {
-              if (typeof type !== 'string') {
-                throw 'Invalid parameter: type';
-              }
-
-              if (handler !== null && typeof handler !== 'function') {
-                throw 'Invalid parameter: handler';
-              }
-
-              if (handler === null) {
-                delete messageHandlers[type];
-              } else {
-                messageHandlers[type] = handler;
-              }
-            },
-
-            // close the connection or register a callback to be notified when the connection is closed
-            close: function(handler) {
-              if (handler !== undefined && handler !== null && typeof handler !== 'function') {
-                throw 'Invalid parameter: handler';
-              }
-
-              if (handler === undefined) {
-                close(true);
-              } else {
-                closeHandler = handler;
-              }
+        // send a request to the client and get its response via a promise or a callback
+        request: function(type, message, options, callback) {
+          return requestOn(null, type, message, options, callback);
+        },
+
+        // register a callback to receive messages from the client
+        receive: function(type, handler) {
+          setMessageHandler(messageHandlers, type, handler);
+        },
+
+        // close the connection or register a callback to be notified when the connection is closed
+        close: function(handler, reason) {
+          if (typeof handler === 'number') {
+            // the application chose a status code
+            if (handler !== 1000 && !(handler >= 3000 && handler <= 4999 && handler % 1 === 0)) {
+              throw 'Invalid parameter: code';
+            }
+
+            if (reason !== undefined && (typeof reason !== 'string' || Buffer.byteLength(reason) > 123)) {
+              throw 'Invalid parameter: reason';
             }
-          }, reconnectData);
+
+            close(handler, reason === undefined ? '' : reason, true);
+            return;
+          }
+
+          if (handler !== undefined && handler !== null && typeof handler !== 'function') {
+            throw 'Invalid parameter: handler';
+          }
+
+          if (handler === undefined) {
+            close(1000, '', true);
+          } else {
+            closeHandler = handler;
+          }
+        },
+
+        // add this socket to a room so it receives messages sent to that room
+        join: function(room) {
+          if (typeof room !== 'string') {
+            throw 'Invalid parameter: room';
+          }
+
+          if (closed) {
+            throw 'Attempted to join a room after the connection has been closed';
+          }
+
+          joinedRooms[room] = true;
+          joinRoom(room, socketApi);
+        },
+
+        // remove this socket from a room
+        leave: function(room) {
+          if (typeof room !== 'string') {
+            throw 'Invalid parameter: room';
+          }
+
+          if (joinedRooms.hasOwnProperty(room)) {
+            delete joinedRooms[room];
+            leaveRoom(room, socketId);
+          }
+        },
+
+        // the names of the rooms this socket is in
+        rooms: function() {
+          return Object.keys(joinedRooms);
+        },
+
+        // get a channel for exchanging messages separately from the rest of the connection, opening it if necessary
+        channel: function(name) {
+          if (typeof name !== 'string') {
+            throw 'Invalid parameter: name';
+          }
+
+          if (hasOwn(channels, name)) {
+            return channels[name].api;
+          }
+
+          if (closed) {
+            throw 'Attempted to open a channel after the connection has been closed';
+          }
+
+          var channel = makeChannel(name);
+          channel.open = true;
+          channels[name] = channel;
+          sendMessage({
+            type: 'openChannel',
+            channel: name
+          });
+          return channel.api;
+        },
+
+        // the names of the channels which are open
+        channels: function() {
+          return Object.keys(channels).filter(function(name) {
+            return channels[name].open;
+          });
+        },
+
+        // the number of bytes waiting to be sent to the client
+        get bufferedAmount() {
+          return bufferedAmount();
+        },
+
+        // register a callback to be notified when the client breaks the rules
+        error: function(handler) {
+          if (handler !== null && typeof handler !== 'function') {
+            throw 'Invalid parameter: handler';
+          }
+
+          socketErrorHandler = handler;
+        },
+
+        // register a callback to be notified when the client goes over a rate limit
+        rateLimited: function(handler) {
+          if (handler !== null && typeof handler !== 'function') {
+            throw 'Invalid parameter: handler';
+          }
+
+          socketRateLimitHandler = handler;
+        },
+
+        // register a callback to be notified when the client has caught up after messages had to wait or were dropped
+        drain: function(handler) {
+          if (handler !== null && typeof handler !== 'function') {
+            throw 'Invalid parameter: handler';
+          }
+
+          drainHandler = handler;
+        },
+
+        // add a listener for an event ('message', 'close', 'error', 'drain', 'rateLimited', or 'channel')
+        // unlike the methods above, this doesn't replace the listeners which are already there
+        on: socketEvents.on,
+
+        // add a listener which is removed after the next time the event happens
+        once: socketEvents.once,
+
+        // remove a listener
+        off: socketEvents.off,
+
+        // a promise which is resolved with the status code and the reason once the connection is closed
+        closed: closedPromise,
+
+        // get an async iterator over the messages of a type from the client, which finishes once the connection is closed
+        messages: function(type) {
+          if (typeof type !== 'string') {
+            throw 'Invalid parameter: type';
+          }
+
+          return emitter.messages(socketEvents, type, closed);
+        }
+      };
+
+      if (sessionSettings === null) {
+        admit(reconnectData, reconnecting);
+        return;
+      }
+
+      // look up the session first, so the middleware and the application can use it
+      // only a client which is reconnecting can resume a session
+      loadingSession = true;
+      loadSession(reconnecting ? sessionToken : null, function(loadedSession) {
+        loadingSession = false;
+        if (closed) {
+          return;
+        }
+
+        socketSession = loadedSession;
+        socketApi.session = loadedSession;
+        admit(reconnectData, reconnecting);
+
+        // now the messages which arrived in the meantime can go through, after the connection
+        var held = heldMessages;
+        heldMessages = [];
+        held.forEach(function(dispatch) {
+          dispatch();
+        });
+      });
+    };
+
+    // let the middleware decide whether to accept the connection before handing it to the application
+    // messages from the client wait until this is done
+    var admit = function(reconnectData, reconnecting) {
+      var event = {
+        kind: 'connect',
+        socket: socketApi,
+        reconnectData: reconnectData,
+        reconnecting: reconnecting
+      };
+      inbound(event, function(error) {
+        if (closed) {
+          return;
+        }
+
+        if (error !== null) {
+          var reason = serializableError(error);
+          close(1008, typeof reason === 'string' && Buffer.byteLength(reason) <= 123 ? reason : 'Rejected', true);
+          return;
+        }
+
+        // give the client the token for its session, so it can resume the session if it reconnects
+        if (socketSession !== null) {
+          sendMessage({
+            type: 'session',
+            token: session.sign(sessionSettings, socketSession.id)
+          });
+        }
+
+        sockets[socketId] = socketApi;
+        if (reconnecting) {
+          counters.reconnects += 1;
+        }
+        serverEvents.emit('connect', socketApi, reconnecting);
+        handler(socketApi, event.reconnectData);
+      });
+    };
+
+    // let the server ask the client to go away, or hang up on it
+    connections[socketId] = {
+      shutDown: function(retryAfter) {
+        goingAway = true;
+        goingAwayRetryAfter = retryAfter;
+        leaveIfIdle();
+      },
+      destroy: function() {
+        socket.destroy();
+      },
+
+      // give up the session to a new connection from the same client, since this connection must be dead
+      // returns the session data, or null if this connection doesn't have the session
+      handOverSession: function(id) {
+        if (socketSession === null || socketSession.id !== id || sessionDestroyed) {
+          return null;
+        }
+
+        // the new connection saves the session from now on, so don't overwrite its data when this one closes
+        var data = socketSession.data;
+        socketSession = null;
+        close(1006, '', false);
+        socket.destroy();
+        return {
+          data: data
         };
+      }
+    };
+
+    // the client might not have waited for the response before sending its first frames
+    if (head.length > 0) {
+      decoder.write(head);
+    }
+  };
+
+  // this event is fired whenever the client attempts to initiate a connection upgrade
+  httpServer.on('upgrade', function(req, socket, head) {
+    // ignore upgrades for other endpoints
+    var requestUrl = url.parse(req.url, true);
+    if ((typeof path === 'string' && requestUrl.pathname !== path) ||
+        (typeof path === 'function' && !path(requestUrl.pathname, req))) {
+      return;
+    }
+
+    // Node.js stops listening for errors on the socket before handing it to us, and an unhandled error crashes the process
+    // so listen right away, since the client can reset the connection at any point (e.g., while verifyClient is running)
+    // errors are followed by the close event
+    socket.on('error', function() {
+      socket.destroy();
+    });
+
+    // once the server is shutting down, new clients have to go elsewhere
+    if (shuttingDown) {
+      refuseShutdown(socket);
+      return;
+    }
+
+    // make sure the upgrade is for the WebSockets protocol
+    if (req.headers['upgrade'].toLowerCase() === 'websocket') {
+      // we only support version 13 of the protocol, which
+      // is the latest at the time of this writing
+      var version = req.headers['sec-websocket-version'];
+      if (version === '13') {
+        // browsers always send the origin of the page, so this protects against cross-site WebSocket hijacking
+        var origin = req.headers['origin'];
+        if (allowedOrigins !== null && origin !== undefined && allowedOrigins.indexOf(origin.toLowerCase()) === -1) {
+          rejectUpgrade(socket, 403, undefined, {});
+          return;
+        }
+
+        // agree on a version of the socket.js protocol (and an application protocol, if the client asked for one)
+        var negotiated = negotiateProtocol(req.headers['sec-websocket-protocol'], appProtocols);
+        if (negotiated === null) {
+          refuseProtocol(req, socket);
+          return;
+        }
+
+        // don't let a single address start too many handshakes
+        var wait = takeHandshake(socket.remoteAddress);
+        if (wait > 0) {
+          if (rateLimitHandler !== null) {
+            rateLimitHandler({
+              limit: 'handshakes',
+              type: null,
+              action: 'reject',
+              address: socket.remoteAddress
+            }, null);
+          }
+          rejectUpgrade(socket, 429, undefined, { 'Retry-After': Math.ceil(wait / 1000) });
+          return;
+        }
+
+        if (!checkConnectionCount(socket)) {
+          return;
+        }
+
+        // let the application inspect the request (e.g., to check cookies or tokens) before accepting it
+        if (verifyClient === null) {
+          acceptConnection(req, socket, head, requestUrl, null, negotiated);
+          return;
+        }
+        verifyClient(req, function(error, identity) {
+          // the client might have given up in the meantime
+          if (socket.destroyed) {
+            return;
+          }
+
+          // the server might have started shutting down, or accepted other connections, in the meantime
+          if (shuttingDown) {
+            refuseShutdown(socket);
+            return;
+          }
+          if (!checkConnectionCount(socket)) {
+            return;
+          }
+
+          if (error !== undefined && error !== null) {
+            var status = typeof error.status === 'number' ? error.status : 401;
+            rejectUpgrade(socket, status, error.message, error.headers === undefined ? {} : error.headers);
+          } else {
+            acceptConnection(req, socket, head, requestUrl, identity === undefined ? null : identity, negotiated);
+          }
+        });
       } else {
         socket.end();
       }
@@ -280,4 +2417,148 @@ module.exports = function(httpServer, handler) {
       socket.end();
     }
   });
+
+  return {
+    // get all the sockets which are currently connected to this process
+    sockets: function() {
+      var result = [];
+      for (var id in sockets) {
+        if (sockets.hasOwnProperty(id)) {
+          result.push(sockets[id]);
+        }
+      }
+      return result;
+    },
+
+    // add a function to the middleware for every connection, inbound message, and outbound message
+    use: function(fn) {
+      if (typeof fn !== 'function') {
+        throw 'Invalid parameter: fn';
+      }
+
+      middleware.push(fn);
+    },
+
+    // register a schema for a message type (or remove it, if messageSchema is null)
+    // messages of that type have to match it in both directions: the ones clients send are rejected
+    // before they reach the application, and sending one that doesn't match throws
+    schema: function(type, messageSchema) {
+      if (typeof type !== 'string') {
+        throw 'Invalid parameter: type';
+      }
+
+      if (messageSchema === null) {
+        delete schemas[type];
+      } else {
+        schemas[type] = schema.compile(messageSchema);
+      }
+    },
+
+    // get a snapshot of the statistics: how many connections are open, and how many connections,
+    // reconnects, messages, bytes, dropped messages, and unparseable messages the server has handled so far
+    stats: stats,
+
+    // answer an HTTP request with the statistics in the Prometheus text format
+    metrics: metricsHandler,
+
+    // add a listener for an event ('connect', 'disconnect', 'drop', or 'parseError')
+    on: serverEvents.on,
+
+    // add a listener which is removed after the next time the event happens
+    once: serverEvents.once,
+
+    // remove a listener
+    off: serverEvents.off,
+
+    // register a callback to be notified when any client breaks the rules
+    error: function(handler) {
+      if (handler !== null && typeof handler !== 'function') {
+        throw 'Invalid parameter: handler';
+      }
+
+      errorHandler = handler;
+    },
+
+    // register a callback to be notified when any client goes over a rate limit, or a connection is refused because of one
+    rateLimited: function(handler) {
+      if (handler !== null && typeof handler !== 'function') {
+        throw 'Invalid parameter: handler';
+      }
+
+      rateLimitHandler = handler;
+    },
+
+    // stop accepting connections, ask every client to go away, and call back (or resolve the promise) once they're gone
+    // options.timeout is how long to wait for requests in progress and closing handshakes before hanging up anyway,
+    // and options.retryAfter is how long clients should wait before reconnecting (e.g., to another instance)
+    close: function(options, callback) {
+      if (typeof options === 'function' && callback === undefined) {
+        callback = options;
+        options = undefined;
+      }
+
+      if (options === undefined) {
+        options = {};
+      }
+
+      if (options === null || typeof options !== 'object') {
+        throw 'Invalid parameter: options';
+      }
+
+      var timeout = numberOption(options, 'timeout', 10000);
+      var retryAfter = numberOption(options, 'retryAfter', null);
+
+      if (callback !== undefined && typeof callback !== 'function') {
+        throw 'Invalid parameter: callback';
+      }
+
+      if (!shuttingDown) {
+        shutDown(timeout, retryAfter);
+      }
+
+      var whenShutDown = function(done) {
+        if (shutdownComplete) {
+          done();
+        } else {
+          shutdownCallbacks.push(done);
+        }
+      };
+
+      if (callback !== undefined) {
+        whenShutDown(callback);
+        return;
+      }
+
+      return new Promise(function(resolve) {
+        whenShutDown(resolve);
+      });
+    },
+
+    // send a message to every connected socket
+    broadcast: function(type, message) {
+      publish(null, type, message);
+    },
+
+    // get an object for sending messages to the sockets in a room
+    to: function(room) {
+      if (typeof room !== 'string') {
+        throw 'Invalid parameter: room';
+      }
+
+      return {
+        // send a message to every socket in the room
+        send: function(type, message) {
+          publish(room, type, message);
+        }
+      };
+    }
+  };
 };
+
+// adapters for fanning out broadcasts and room messages
+module.exports.memoryAdapter = adapters.memory;
+module.exports.clusterAdapter = adapters.cluster;
+module.exports.relayClusterEvents = adapters.relayClusterEvents;
+
+// a session store which keeps the sessions in memory
+module.exports.memorySessionStore = session.memoryStore;
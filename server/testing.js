@@ -0,0 +1,363 @@
+'use strict';
+
+var events = require('events');
+var createServer = require('./socket.js');
+var client = require('../client/socket.js');
+var nodeClient = require('../client/node.js');
+
+// a harness for testing applications built on socket.js without a real network
+// the server and its clients talk over an in-memory network, which can be slowed down, cut off, and restored
+// everything the network does happens in setTimeout callbacks, so tests can control it with fake timers
+
+// make a connected pair of sockets, with the parts of net.Socket that socket.js uses
+// data written to one end arrives at the other end after the network's latency, in the order it was written
+function makePair(network) {
+  var closed = false;
+
+  var makeSocket = function() {
+    var socket = new events.EventEmitter();
+    socket.writable = true;
+    socket.destroyed = false;
+    socket.writableLength = 0;
+    socket.remoteAddress = '127.0.0.1';
+
+    // the chunks written to this end which haven't arrived yet (null marks the end of the data)
+    var inFlight = [];
+
+    // the chunks which arrived while this end was paused
+    var arrived = [];
+    var paused = false;
+
+    // the other end has no more data for us, and we've told it the same
+    var endReceived = false;
+    var endSent = false;
+
+    // hand the oldest chunk in flight to the other end
+    var deliver = function() {
+      if (closed) {
+        return;
+      }
+      var chunk = inFlight.shift();
+      if (chunk.data === null) {
+        socket.peer.receive(null);
+        return;
+      }
+      socket.writableLength -= chunk.data.length;
+      socket.peer.receive(chunk.data);
+      if (chunk.callback !== undefined) {
+        chunk.callback();
+      }
+    };
+
+    var send = function(data, callback) {
+      inFlight.push({
+        data: data,
+        callback: callback
+      });
+      setTimeout(deliver, network.latency);
+    };
+
+    // a chunk (or the end of the data) arrived from the other end
+    socket.receive = function(data) {
+      if (closed) {
+        return;
+      }
+      if (paused) {
+        arrived.push(data);
+      } else if (data === null) {
+        endReceived = true;
+        socket.emit('end');
+        if (endSent && socket.peer.endReceived()) {
+          closePair();
+        }
+      } else {
+        socket.emit('data', data);
+      }
+    };
+
+    socket.endReceived = function() {
+      return endReceived;
+    };
+
+    socket.write = function(data, callback) {
+      if (!socket.writable) {
+        return true;
+      }
+      var buffer = typeof data === 'string' ? new Buffer(data) : data;
+      socket.writableLength += buffer.length;
+      send(buffer, callback);
+      return true;
+    };
+
+    socket.end = function(data) {
+      if (data !== undefined) {
+        socket.write(data);
+      }
+      if (!endSent && !closed) {
+        endSent = true;
+        socket.writable = false;
+        send(null);
+      }
+    };
+
+    socket.destroy = function() {
+      closePair();
+    };
+
+    socket.pause = function() {
+      paused = true;
+    };
+
+    socket.resume = function() {
+      paused = false;
+      while (!paused && arrived.length > 0) {
+        socket.receive(arrived.shift());
+      }
+    };
+
+    socket.setNoDelay = function() {};
+
+    // forget everything in flight
+    socket.clear = function() {
+      inFlight = [];
+      arrived = [];
+      socket.writable = false;
+      socket.destroyed = true;
+      socket.writableLength = 0;
+    };
+
+    return socket;
+  };
+
+  var clientSocket = makeSocket();
+  var serverSocket = makeSocket();
+  clientSocket.peer = serverSocket;
+  serverSocket.peer = clientSocket;
+
+  // hang up both ends at once, like a connection which was reset
+  // net.Socket emits its close event asynchronously, and so do we
+  var closePair = function() {
+    if (!closed) {
+      closed = true;
+      clientSocket.clear();
+      serverSocket.clear();
+      setTimeout(function() {
+        clientSocket.emit('close', false);
+        serverSocket.emit('close', false);
+      }, 0);
+    }
+  };
+
+  return {
+    client: clientSocket,
+    server: serverSocket,
+    drop: closePair
+  };
+}
+
+// split an HTTP response head into its status code and its headers (with lowercase names)
+function parseResponseHead(head) {
+  var lines = head.split('\r\n');
+  var headers = {};
+  lines.slice(1).forEach(function(line) {
+    var colon = line.indexOf(':');
+    headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  });
+  return {
+    statusCode: parseInt(lines[0].split(' ')[1], 10),
+    headers: headers,
+    resume: function() {}
+  };
+}
+
+// make a function which works like http.request, but sends upgrade requests to a fake HTTP server over the network
+// onConnection is called with each pair of sockets the network connects
+function makeRequest(network, httpServer, onConnection) {
+  return function(requestOptions) {
+    var upgradeRequest = new events.EventEmitter();
+    var pair = null;
+    var aborted = false;
+
+    upgradeRequest.abort = function() {
+      aborted = true;
+      if (pair !== null) {
+        pair.drop();
+      }
+    };
+
+    upgradeRequest.end = function() {
+      setTimeout(function() {
+        if (aborted) {
+          return;
+        }
+        if (network.offline) {
+          upgradeRequest.emit('error', new Error('Network is offline'));
+          return;
+        }
+
+        pair = makePair(network);
+        onConnection(pair);
+
+        // read the response to the upgrade request, then hand the socket over like http.request does
+        var head = new Buffer(0);
+        var responded = false;
+        var onData = function(data) {
+          head = Buffer.concat([head, data]);
+          var index = head.indexOf('\r\n\r\n');
+          if (index === -1) {
+            return;
+          }
+
+          responded = true;
+          pair.client.removeListener('data', onData);
+          var response = parseResponseHead(head.slice(0, index).toString());
+          if (response.statusCode === 101) {
+            upgradeRequest.emit('upgrade', response, pair.client, head.slice(index + 4));
+          } else {
+            upgradeRequest.emit('response', response);
+            pair.drop();
+          }
+        };
+        pair.client.on('data', onData);
+        pair.client.on('close', function() {
+          if (!responded) {
+            upgradeRequest.emit('error', new Error('Socket hang up'));
+          }
+        });
+
+        var headers = {};
+        for (var name in requestOptions.headers) {
+          if (requestOptions.headers.hasOwnProperty(name)) {
+            headers[name.toLowerCase()] = requestOptions.headers[name];
+          }
+        }
+        headers['host'] = requestOptions.hostname;
+        httpServer.emit('upgrade', {
+          method: 'GET',
+          url: requestOptions.path,
+          headers: headers
+        }, pair.server, new Buffer(0));
+      }, network.latency);
+    };
+
+    return upgradeRequest;
+  };
+}
+
+// make a server with the same options and handler as socketjs(), and a network its clients can connect over
+exports.create = function(options, handler) {
+  // the options are optional
+  if (handler === undefined) {
+    handler = options;
+    options = {};
+  }
+
+  // the server only needs the upgrade event, so it doesn't need a real HTTP server
+  var httpServer = new events.EventEmitter();
+  var server = createServer(httpServer, options, handler);
+
+  // how long (in milliseconds) data takes to get across, and whether the network is down
+  var network = {
+    latency: 0,
+    offline: false
+  };
+
+  // every client, and the pairs of sockets it's connected with
+  var clients = [];
+
+  var dropConnections = function(entry) {
+    entry.pairs.slice().forEach(function(pair) {
+      pair.drop();
+    });
+  };
+
+  return {
+    // the object returned by socketjs()
+    server: server,
+
+    // connect a client to the server over the network
+    // the options are the same as for socketjs.connect(), plus headers for the upgrade request (e.g., for verifyClient)
+    connect: function(options) {
+      if (options === undefined) {
+        options = {};
+      }
+
+      if (options === null || typeof options !== 'object') {
+        throw 'Invalid parameter: options';
+      }
+
+      var headers = options.headers === undefined ? {} : options.headers;
+      if (headers === null || typeof headers !== 'object') {
+        throw 'Invalid parameter: options.headers';
+      }
+
+      var entry = {
+        socket: null,
+        pairs: []
+      };
+      var request = makeRequest(network, httpServer, function(pair) {
+        entry.pairs.push(pair);
+        pair.client.on('close', function() {
+          entry.pairs.splice(entry.pairs.indexOf(pair), 1);
+        });
+      });
+
+      // connect with the Node.js client's WebSocket, over the network instead of over TCP
+      var clientOptions = {};
+      for (var key in options) {
+        if (options.hasOwnProperty(key) && key !== 'headers') {
+          clientOptions[key] = options[key];
+        }
+      }
+      clientOptions.WebSocket = function(address, protocols) {
+        return nodeClient.WebSocket(address, protocols, headers, request);
+      };
+      clientOptions.WebSocket.CONNECTING = nodeClient.WebSocket.CONNECTING;
+      clientOptions.WebSocket.OPEN = nodeClient.WebSocket.OPEN;
+      clientOptions.WebSocket.CLOSING = nodeClient.WebSocket.CLOSING;
+      clientOptions.WebSocket.CLOSED = nodeClient.WebSocket.CLOSED;
+
+      entry.socket = client.connect('socketjs.test', false, clientOptions);
+      clients.push(entry);
+      return entry.socket;
+    },
+
+    // delay everything sent over the network (in both directions) by this many milliseconds
+    latency: function(latency) {
+      if (typeof latency !== 'number' || !(latency >= 0)) {
+        throw 'Invalid parameter: latency';
+      }
+
+      network.latency = latency;
+    },
+
+    // drop the connections of a client (or of every client, if socket is undefined) without a closing handshake,
+    // like a network interruption
+    // the server sees the connection close with status code 1006, and the client tries to reconnect
+    disconnect: function(socket) {
+      if (socket === undefined) {
+        clients.forEach(dropConnections);
+        return;
+      }
+
+      for (var i = 0; i < clients.length; i += 1) {
+        if (clients[i].socket === socket) {
+          dropConnections(clients[i]);
+          return;
+        }
+      }
+      throw 'Invalid parameter: socket';
+    },
+
+    // take the network down: every connection is dropped, and attempts to reconnect fail until it comes back
+    offline: function() {
+      network.offline = true;
+      clients.forEach(dropConnections);
+    },
+
+    // bring the network back up, so clients can reconnect
+    online: function() {
+      network.offline = false;
+    }
+  };
+};
@@ -0,0 +1,188 @@
+'use strict';
+
+var assert = require('assert');
+var frame = require('../server/frame.js');
+
+// the frame codec checked against the example frames in section 5.7 of RFC 6455
+// run with npm test
+
+var failures = 0;
+
+// run a test case and report the result
+function test(name, fn) {
+  try {
+    fn();
+    console.log('ok - ' + name);
+  } catch (e) {
+    failures += 1;
+    console.log('not ok - ' + name);
+    console.log(e.stack === undefined ? e : e.stack);
+  }
+}
+
+// decode some data, written in chunks of chunkSize bytes (or all at once, if chunkSize is undefined)
+// returns the frames, each with its header and payload
+function decode(data, chunkSize) {
+  var frames = [];
+  var decoder = frame.decoder(function() {}, function(header, payload) {
+    frames.push({
+      header: header,
+      payload: payload
+    });
+  });
+  if (chunkSize === undefined) {
+    chunkSize = data.length;
+  }
+  for (var i = 0; i < data.length; i += chunkSize) {
+    decoder.write(data.slice(i, i + chunkSize));
+  }
+  return frames;
+}
+
+// a payload of a given length, with a pattern that makes misplaced bytes show up
+function pattern(length) {
+  var payload = new Buffer(length);
+  for (var i = 0; i < length; i += 1) {
+    payload[i] = i % 251;
+  }
+  return payload;
+}
+
+// the example frames from the RFC
+var UNMASKED_HELLO = new Buffer([0x81, 0x05, 0x48, 0x65, 0x6c, 0x6c, 0x6f]);
+var MASKED_HELLO = new Buffer([0x81, 0x85, 0x37, 0xfa, 0x21, 0x3d, 0x7f, 0x9f, 0x4d, 0x51, 0x58]);
+var FIRST_FRAGMENT = new Buffer([0x01, 0x03, 0x48, 0x65, 0x6c]);
+var LAST_FRAGMENT = new Buffer([0x80, 0x02, 0x6c, 0x6f]);
+var UNMASKED_PING = new Buffer([0x89, 0x05, 0x48, 0x65, 0x6c, 0x6c, 0x6f]);
+var MASKED_PONG = new Buffer([0x8a, 0x85, 0x37, 0xfa, 0x21, 0x3d, 0x7f, 0x9f, 0x4d, 0x51, 0x58]);
+var HEADER_256 = new Buffer([0x82, 0x7e, 0x01, 0x00]);
+var HEADER_65536 = new Buffer([0x82, 0x7f, 0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00]);
+
+test('encodes an unmasked text message', function() {
+  assert.deepEqual(frame.encode(1, 'Hello'), UNMASKED_HELLO);
+});
+
+test('decodes an unmasked text message', function() {
+  var frames = decode(UNMASKED_HELLO);
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].header.fin, true);
+  assert.equal(frames[0].header.opcode, 1);
+  assert.equal(frames[0].header.masked, false);
+  assert.equal(frames[0].header.payloadLength, 5);
+  assert.equal(frames[0].payload.toString(), 'Hello');
+});
+
+test('decodes a masked text message', function() {
+  var frames = decode(MASKED_HELLO);
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].header.fin, true);
+  assert.equal(frames[0].header.opcode, 1);
+  assert.equal(frames[0].header.masked, true);
+  assert.equal(frames[0].payload.toString(), 'Hello');
+});
+
+test('encodes a masked text message which decodes to the same payload', function() {
+  var encoded = frame.encode(1, 'Hello', { mask: true });
+  assert.equal(encoded.length, MASKED_HELLO.length);
+  assert.deepEqual(encoded.slice(0, 2), MASKED_HELLO.slice(0, 2));
+  assert.equal(decode(encoded)[0].payload.toString(), 'Hello');
+});
+
+test('encodes a fragmented text message', function() {
+  assert.deepEqual(frame.encodeMessage(1, 'Hello', { fragmentSize: 3 }), Buffer.concat([FIRST_FRAGMENT, LAST_FRAGMENT]));
+});
+
+test('decodes a fragmented text message with a ping in between', function() {
+  var frames = decode(Buffer.concat([FIRST_FRAGMENT, UNMASKED_PING, LAST_FRAGMENT]));
+  assert.equal(frames.length, 3);
+  assert.equal(frames[0].header.fin, false);
+  assert.equal(frames[0].header.opcode, 1);
+  assert.equal(frames[0].payload.toString(), 'Hel');
+  assert.equal(frames[1].header.fin, true);
+  assert.equal(frames[1].header.opcode, 9);
+  assert.equal(frames[1].payload.toString(), 'Hello');
+  assert.equal(frames[2].header.fin, true);
+  assert.equal(frames[2].header.opcode, 0);
+  assert.equal(frames[2].payload.toString(), 'lo');
+});
+
+test('encodes an unmasked ping', function() {
+  assert.deepEqual(frame.encode(9, 'Hello'), UNMASKED_PING);
+});
+
+test('decodes a masked pong', function() {
+  var frames = decode(MASKED_PONG);
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].header.opcode, 10);
+  assert.equal(frames[0].header.masked, true);
+  assert.equal(frames[0].payload.toString(), 'Hello');
+});
+
+test('encodes and decodes a 256-byte binary message with a 16-bit length', function() {
+  var payload = pattern(256);
+  var encoded = frame.encode(2, payload);
+  assert.deepEqual(encoded, Buffer.concat([HEADER_256, payload]));
+  var frames = decode(encoded);
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].header.opcode, 2);
+  assert.equal(frames[0].header.payloadLength, 256);
+  assert.deepEqual(frames[0].payload, payload);
+});
+
+test('encodes and decodes a 64 KiB binary message with a 64-bit length', function() {
+  var payload = pattern(65536);
+  var encoded = frame.encode(2, payload);
+  assert.deepEqual(encoded, Buffer.concat([HEADER_65536, payload]));
+  var frames = decode(encoded);
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].header.payloadLength, 65536);
+  assert.deepEqual(frames[0].payload, payload);
+});
+
+test('uses the length in bytes of non-ASCII text, rather than its length in characters', function() {
+  // 'héllo €' is 7 characters, but 'é' takes 2 bytes in UTF-8 and '€' takes 3
+  var encoded = frame.encode(1, 'héllo €');
+  assert.equal(encoded.length, 2 + 10);
+  assert.equal(encoded[1], 10);
+  var frames = decode(encoded);
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].header.payloadLength, 10);
+  assert.equal(frames[0].payload.toString(), 'héllo €');
+});
+
+test('splits non-ASCII text into fragments by bytes', function() {
+  var frames = decode(frame.encodeMessage(1, 'héllo €', { fragmentSize: 4 }));
+  assert.deepEqual(frames.map(function(f) {
+    return f.header.payloadLength;
+  }), [4, 4, 2]);
+  assert.equal(Buffer.concat(frames.map(function(f) {
+    return f.payload;
+  })).toString(), 'héllo €');
+});
+
+test('decodes frames which arrive one byte at a time', function() {
+  var frames = decode(Buffer.concat([MASKED_HELLO, FIRST_FRAGMENT, UNMASKED_PING, LAST_FRAGMENT, HEADER_256, pattern(256)]), 1);
+  assert.deepEqual(frames.map(function(f) {
+    return f.header.opcode;
+  }), [1, 1, 9, 0, 2]);
+  assert.equal(frames[0].payload.toString(), 'Hello');
+  assert.equal(frames[1].payload.toString() + frames[3].payload.toString(), 'Hello');
+  assert.deepEqual(frames[4].payload, pattern(256));
+});
+
+test('reads the header before the payload arrives', function() {
+  var headers = [];
+  var decoder = frame.decoder(function(header) {
+    headers.push(header);
+  }, function() {
+    assert.fail('the frame is incomplete');
+  });
+  decoder.write(HEADER_65536);
+  assert.equal(headers.length, 1);
+  assert.equal(headers[0].payloadLength, 65536);
+});
+
+if (failures > 0) {
+  console.log(failures + ' failed');
+  process.exit(1);
+}
@@ -0,0 +1,178 @@
+'use strict';
+
+var assert = require('assert');
+var testing = require('../server/testing.js');
+
+// the in-memory harness checked end to end: messages get across, drops look like network interruptions, and clients
+// come back afterwards
+// run with npm test
+
+var failures = 0;
+
+// the test cases, in the order they run
+var tests = [];
+
+// the test case which is running, and how to finish it
+var current = null;
+
+// how long (in milliseconds) a test case can take before it fails
+var TIMEOUT = 5000;
+
+// add a test case
+// fn is called with a function to call (with an error, if the test case failed) when the test case is done
+function test(name, fn) {
+  tests.push({
+    name: name,
+    fn: fn
+  });
+}
+
+// run the next test case, or report the results if there are none left
+function runNext() {
+  if (tests.length === 0) {
+    if (failures > 0) {
+      console.log(failures + ' failed');
+    }
+
+    // clients which are still trying to reconnect would keep the process running
+    process.exit(failures > 0 ? 1 : 0);
+  }
+
+  var testCase = tests.shift();
+  var timer = null;
+  var finished = false;
+  var done = function(err) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(timer);
+    current = null;
+    if (err === undefined || err === null) {
+      console.log('ok - ' + testCase.name);
+    } else {
+      failures += 1;
+      console.log('not ok - ' + testCase.name);
+      console.log(err.stack === undefined ? err : err.stack);
+    }
+    setTimeout(runNext, 0);
+  };
+
+  current = done;
+  timer = setTimeout(function() {
+    done(new Error('Timed out after ' + TIMEOUT + 'ms'));
+  }, TIMEOUT);
+
+  try {
+    testCase.fn(done);
+  } catch (e) {
+    done(e);
+  }
+}
+
+// assertions which fail in a callback fail the test case which is running
+process.on('uncaughtException', function(e) {
+  if (current === null) {
+    throw e;
+  }
+  current(e);
+});
+
+test('delivers requests and responses in both directions', function(done) {
+  var harness = testing.create(function(socket) {
+    // ask the client who it is before answering
+    socket.receive('echo', function(message) {
+      return socket.request('name', null).then(function(name) {
+        return message + ', ' + name;
+      });
+    });
+  });
+  var socket = harness.connect();
+  socket.receive('name', function() {
+    return 'client';
+  });
+  socket.request('echo', 'hello').then(function(response) {
+    assert.equal(response, 'hello, client');
+    done();
+  }).catch(done);
+});
+
+test('delays messages by the latency of the network', function(done) {
+  var harness = testing.create(function(socket) {
+    socket.receive('echo', function(message) {
+      return message;
+    });
+  });
+  var socket = harness.connect();
+
+  // the first request gets across right away, which means the client is connected
+  socket.request('echo', 'fast').then(function() {
+    harness.latency(50);
+    var start = Date.now();
+
+    // the request and the response each take 50ms to get across
+    return socket.request('echo', 'slow').then(function(response) {
+      assert.equal(response, 'slow');
+      assert.ok(Date.now() - start >= 95, 'the round trip took ' + (Date.now() - start) + 'ms');
+      done();
+    });
+  }).catch(done);
+});
+
+test('drops the connection like a network interruption', function(done) {
+  var socket = null;
+  var harness = testing.create(function(serverSocket) {
+    serverSocket.close(function(code) {
+      assert.equal(code, 1006);
+      assert.equal(harness.server.sockets().length, 0);
+      done();
+    });
+    assert.equal(harness.server.sockets().length, 1);
+    harness.disconnect(socket);
+  });
+  socket = harness.connect({ reconnectDelay: 100, reconnectJitter: 0 });
+});
+
+test('reconnects after a drop and delivers messages sent in the meantime', function(done) {
+  var socket = null;
+  var connections = 0;
+  var harness = testing.create({ reliable: true }, function(serverSocket) {
+    connections += 1;
+    serverSocket.receive('note', function(message) {
+      assert.equal(connections, 2);
+      assert.equal(message, 'while down');
+      done();
+    });
+    if (connections === 1) {
+      harness.disconnect(socket);
+    }
+  });
+  socket = harness.connect({ reliable: true, reconnectDelay: 100, reconnectJitter: 0 });
+  socket.disconnect(function() {
+    socket.send('note', 'while down');
+  });
+});
+
+test('fails to reconnect while the network is offline, and reconnects once it is back', function(done) {
+  var attempts = 0;
+  var connections = 0;
+  var harness = testing.create(function() {
+    connections += 1;
+    if (connections === 1) {
+      harness.offline();
+    } else {
+      assert.ok(attempts >= 2, 'reconnected after ' + attempts + ' attempts');
+      assert.equal(harness.server.sockets().length, 1);
+      done();
+    }
+  });
+  var socket = harness.connect({ reconnectDelay: 50, reconnectJitter: 0 });
+  socket.reconnecting(function(attempt) {
+    attempts = attempt;
+    if (attempt === 2) {
+      harness.online();
+    }
+  });
+});
+
+runNext();